@@ -0,0 +1,314 @@
+/**
+ * COMPARE
+ *
+ * Compare deux entités résolues :
+ * - claims Wikidata alignés propriété par propriété (valeurs communes,
+ *   valeurs différentes, propriétés présentes d'un seul côté)
+ * - identifiants externes et sources d'enrichissement de chacune
+ * - graphe fusionné des deux voisinages, voisins communs mis en évidence
+ * Les identifiants externes (datatype external-id) sont comparés à part.
+ */
+
+import {
+  extractConnectedEntities, unifyConnectedEntities, prefetchLinkItems, translateGraph
+} from './graphBuilder.js';
+import { getLanguage, fetchWikidataEntities } from './entityResolver.js';
+import { fetchPropertyLabels } from './propertyProfiles.js';
+import { getLinkNoiseRules } from './linkNoise.js';
+import { pickLocalized } from './languages.js';
+import { parseWikidataTime } from './timeline.js';
+
+// Ordre d'affichage des lignes de claims
+const STATUS_ORDER = ['same', 'partial', 'different', 'onlyA', 'onlyB'];
+
+// Identifiants qui ne sont pas des IDs de bases externes (voir extractExternalIdentifiers)
+const NON_IDENTIFIERS = ['coordinates', 'image'];
+
+/**
+ * Compare deux entités résolues
+ * @param {Entity} entityA
+ * @param {Entity} entityB
+ * @param {Object} options
+ * @param {number} options.maxUnique - Voisins propres à chaque entité gardés dans le graphe (défaut 8)
+ * @param {AbortSignal} options.signal
+ * @returns {Promise<Comparison>}
+ */
+export async function compareEntities(entityA, entityB, options = {}) {
+  const { maxUnique = 8, signal } = options;
+
+  const [claims, neighbours] = await Promise.all([
+    compareClaims(entityA, entityB, signal),
+    compareNeighbours(entityA, entityB, maxUnique, signal)
+  ]);
+
+  console.log(`⚖️ ${entityA.name} / ${entityB.name} : ${claims.length} propriétés, ${neighbours.common.length} voisin(s) commun(s)`);
+
+  return {
+    claims,
+    identifiers: compareIdentifiers(entityA, entityB),
+    sources: compareSources(entityA, entityB),
+    ...neighbours
+  };
+}
+
+/**
+ * Claims des deux entités alignés par propriété, avec libellés
+ * de propriétés et de valeurs dans la langue courante
+ * @returns {Promise<Array<ClaimRow>>}
+ */
+async function compareClaims(entityA, entityB, signal) {
+  const valuesA = collectValues(entityA.sources.wikidata?.claims);
+  const valuesB = collectValues(entityB.sources.wikidata?.claims);
+  const properties = [...new Set([...valuesA.keys(), ...valuesB.keys()])];
+
+  // Libellés des éléments cités en valeur (et des unités de quantités)
+  const itemIds = [...new Set(
+    [...valuesA.values(), ...valuesB.values()].flatMap(values => values.map(labelId).filter(Boolean))
+  )];
+  const lang = getLanguage();
+  const [propertyLabels, items] = await Promise.all([
+    fetchPropertyLabels(properties, lang, signal),
+    fetchWikidataEntities(itemIds, 'labels', signal)
+  ]);
+
+  const withLabel = value => ({
+    ...value,
+    label: labelId(value) ? value.format(pickLocalized(items[labelId(value)]?.labels, lang) || labelId(value)) : value.label
+  });
+
+  const rows = properties.map(property => {
+    const a = (valuesA.get(property) || []).map(withLabel);
+    const b = (valuesB.get(property) || []).map(withLabel);
+    const keysA = new Set(a.map(value => value.key));
+    const keysB = new Set(b.map(value => value.key));
+
+    const shared = a.filter(value => keysB.has(value.key));
+    const onlyA = a.filter(value => !keysB.has(value.key));
+    const onlyB = b.filter(value => !keysA.has(value.key));
+
+    let status;
+    if (b.length === 0) status = 'onlyA';
+    else if (a.length === 0) status = 'onlyB';
+    else if (shared.length === 0) status = 'different';
+    else status = onlyA.length + onlyB.length === 0 ? 'same' : 'partial';
+
+    return { property, label: propertyLabels[property] || property, status, shared, onlyA, onlyB };
+  });
+
+  return rows.sort((x, y) =>
+    STATUS_ORDER.indexOf(x.status) - STATUS_ORDER.indexOf(y.status) || x.label.localeCompare(y.label)
+  );
+}
+
+/**
+ * Valeurs comparables de chaque propriété (hors identifiants externes,
+ * valeurs inconnues et rang déprécié), sans doublon
+ * @returns {Map<string, Array<ClaimValue>>} PID → valeurs
+ */
+function collectValues(claims = {}) {
+  const byProperty = new Map();
+
+  for (const [property, statements] of Object.entries(claims)) {
+    const values = new Map();
+
+    for (const statement of statements) {
+      const snak = statement.mainsnak;
+      if (statement.rank === 'deprecated' || snak?.snaktype !== 'value' || snak.datatype === 'external-id') continue;
+
+      const value = readValue(snak.datavalue);
+      if (value && !values.has(value.key)) values.set(value.key, value);
+    }
+
+    if (values.size > 0) byProperty.set(property, [...values.values()]);
+  }
+
+  return byProperty;
+}
+
+/**
+ * Clé de comparaison et libellé d'une valeur Wikidata
+ * (itemId ou unitId + format : libellé à compléter avec celui de l'élément ;
+ * seul itemId désigne une valeur navigable)
+ */
+function readValue(datavalue) {
+  const { type, value } = datavalue || {};
+
+  switch (type) {
+    case 'wikibase-entityid':
+      return { key: value.id, itemId: value.id, format: label => label };
+    case 'time':
+      return { key: `${value.time}/${value.precision}`, label: parseWikidataTime(value)?.label || value.time };
+    case 'quantity': {
+      const amount = Number(value.amount).toLocaleString(getLanguage());
+      const unit = value.unit?.split('/').pop();
+      return unit && unit !== '1'
+        ? { key: `${value.amount} ${unit}`, unitId: unit, format: label => `${amount} ${label}` }
+        : { key: value.amount, label: amount };
+    }
+    case 'monolingualtext':
+      return { key: `${value.language}:${value.text}`, label: value.text };
+    case 'globecoordinate':
+      return {
+        key: `${value.latitude.toFixed(4)},${value.longitude.toFixed(4)}`,
+        label: `${value.latitude.toFixed(4)}, ${value.longitude.toFixed(4)}`
+      };
+    case 'string':
+      return { key: value, label: value };
+    default:
+      return null;
+  }
+}
+
+// Élément dont le libellé complète la valeur (élément cité ou unité)
+function labelId(value) {
+  return value.itemId || value.unitId;
+}
+
+/**
+ * Identifiants externes (MusicBrainz, VIAF...) de chaque côté
+ * @returns {Array<{name: string, a: string|null, b: string|null}>}
+ */
+function compareIdentifiers(entityA, entityB) {
+  const a = entityA.identifiers || {};
+  const b = entityB.identifiers || {};
+
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(name => !NON_IDENTIFIERS.includes(name))
+    .sort()
+    .map(name => ({ name, a: a[name] ?? null, b: b[name] ?? null }));
+}
+
+/**
+ * Sources de données et rapport d'enrichissement de chaque côté
+ * @returns {Array<{name: string, a: SourceState, b: SourceState}>}
+ */
+function compareSources(entityA, entityB) {
+  const names = new Set([
+    ...Object.keys(entityA.sources), ...Object.keys(entityA.enrichment || {}),
+    ...Object.keys(entityB.sources), ...Object.keys(entityB.enrichment || {})
+  ]);
+
+  const state = (entity, name) => ({
+    present: Boolean(entity.sources[name]),
+    report: entity.enrichment?.[name] || null
+  });
+
+  return [...names].sort().map(name => ({ name, a: state(entityA, name), b: state(entityB, name) }));
+}
+
+/**
+ * Graphe fusionné des deux voisinages (mêmes relations que le graphe) :
+ * les voisins communs sont reliés aux deux centres et mis en évidence,
+ * les voisins propres à chacun sont limités aux meilleurs scores
+ * @returns {Promise<{common: Array<Node>, graph: Graph}>}
+ */
+async function compareNeighbours(entityA, entityB, maxUnique, signal) {
+  const noiseRules = await getLinkNoiseRules(getLanguage(), signal);
+  const [rawA, rawB] = [entityA, entityB].map(entity =>
+    extractConnectedEntities(entity, noiseRules).filter(e => e.score >= 2)
+  );
+
+  await prefetchLinkItems([...rawA, ...rawB], signal);
+  const neighboursA = await unifyConnectedEntities(rawA, signal);
+  const neighboursB = await unifyConnectedEntities(rawB, signal);
+
+  const centers = new Set([entityA.id, entityB.id]);
+  const idsB = new Set(neighboursB.map(relation => relation.id));
+  const commonIds = new Set(neighboursA.map(relation => relation.id).filter(id => idsB.has(id) && !centers.has(id)));
+
+  const nodes = new Map(
+    [entityA, entityB].map(entity => [entity.id, {
+      id: entity.id,
+      label: entity.name,
+      type: entity.type,
+      entityType: entity.type,
+      level: 0,
+      isCenter: true,
+      thumbnail: entity.sources.wikipedia?.thumbnail
+    }])
+  );
+  const edges = [];
+
+  for (const [center, neighbours] of [[entityA.id, neighboursA], [entityB.id, neighboursB]]) {
+    let unique = 0;
+
+    for (const relation of neighbours) {
+      const common = commonIds.has(relation.id);
+      if (relation.id === center) continue;
+      // L'autre entité comparée est un voisin direct : lien entre les deux centres
+      if (!common && !centers.has(relation.id) && unique++ >= maxUnique) continue;
+
+      if (!nodes.has(relation.id)) {
+        nodes.set(relation.id, {
+          id: relation.id,
+          label: relation.label,
+          type: relation.type,
+          level: 1,
+          score: relation.score,
+          common
+        });
+      }
+
+      if (centers.has(relation.id) && edges.some(edge => centers.has(edge.source) && centers.has(edge.target))) continue;
+
+      // Relation entrante : c'est le voisin qui porte le claim (comme dans le graphe)
+      const [source, target] = relation.direction === 'incoming' ? [relation.id, center] : [center, relation.id];
+
+      edges.push({
+        source,
+        target,
+        type: relation.type,
+        origin: relation.source,
+        value: relation.score,
+        property: relation.property || null,
+        rank: relation.rank || null,
+        qualifiers: relation.qualifiers || null,
+        origins: relation.origins || [relation.source],
+        types: relation.types || [relation.type],
+        highlighted: common
+      });
+    }
+  }
+
+  const graph = { nodes: [...nodes.values()], edges };
+  await translateGraph(graph.nodes.filter(node => !node.isCenter), graph.edges, signal);
+
+  return { common: graph.nodes.filter(node => node.common), graph };
+}
+
+/**
+ * Type ClaimValue
+ * @typedef {Object} ClaimValue
+ * @property {string} key - Clé de comparaison (QID, date et précision, texte...)
+ * @property {string} label - Valeur lisible
+ * @property {string} [itemId] - Élément Wikidata cité en valeur
+ * @property {string} [unitId] - Unité d'une quantité (libellé seulement)
+ */
+
+/**
+ * Type ClaimRow
+ * @typedef {Object} ClaimRow
+ * @property {string} property - PID
+ * @property {string} label - Nom de la propriété
+ * @property {string} status - same | partial | different | onlyA | onlyB
+ * @property {Array<ClaimValue>} shared - Valeurs des deux côtés
+ * @property {Array<ClaimValue>} onlyA
+ * @property {Array<ClaimValue>} onlyB
+ */
+
+/**
+ * Type SourceState
+ * @typedef {Object} SourceState
+ * @property {boolean} present - Données présentes dans entity.sources
+ * @property {Object|null} report - Rapport de l'enricher { status, duration, reason?, error? }
+ */
+
+/**
+ * Type Comparison
+ * @typedef {Object} Comparison
+ * @property {Array<ClaimRow>} claims - Triées : communes, partielles, différentes, d'un seul côté
+ * @property {Array<{name: string, a: string|null, b: string|null}>} identifiers
+ * @property {Array<{name: string, a: SourceState, b: SourceState}>} sources
+ * @property {Array<Node>} common - Voisins communs
+ * @property {Graph} graph - Graphe fusionné, prêt pour NeuralGraph (voisins communs : common, edges highlighted)
+ */
@@ -0,0 +1,226 @@
+/**
+ * STOCKAGE LOCAL (IndexedDB via Dexie)
+ *
+ * Cache persistant des entités résolues, des graphes construits
+ * et des payloads bruts de chaque source d'enrichissement.
+ * Chaque source a sa propre durée de vie (TTL).
+ */
+
+import Dexie from 'dexie';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Durée de vie du cache par source (en ms)
+ * Les données stables (identifiants, géographie) vivent longtemps,
+ * les recherches plein texte (Commons, arXiv, Archive.org) moins.
+ */
+export const SOURCE_TTL = {
+  wikidata: 7 * DAY,
+  wikipedia: 3 * DAY,
+  external_links: 7 * DAY,
+  musicbrainz: 30 * DAY,
+  tmdb: 7 * DAY,
+  openlibrary: 30 * DAY,
+  wikimedia_commons: 7 * DAY,
+  openstreetmap: 90 * DAY,
+  arxiv: 1 * DAY,
+  archive_org: 3 * DAY,
+  default: 1 * DAY
+};
+
+// Un graphe dépend de plusieurs entités : on le garde moins longtemps
+export const GRAPH_TTL = 1 * DAY;
+
+// La hiérarchie des classes Wikidata (P279) change très rarement
+export const CLASS_TTL = 30 * DAY;
+
+export const db = new Dexie('wikiwiki');
+
+db.version(1).stores({
+  entities: '[id+lang], id, cachedAt',
+  graphs: 'key, centerId, cachedAt',
+  sources: '[entityId+lang+source], [entityId+lang], cachedAt'
+});
+
+db.version(2).stores({
+  classes: 'id, cachedAt'
+});
+
+// Données de l'utilisateur (jamais purgées par clearCache)
+db.version(3).stores({
+  paths: '++id, name, createdAt',
+  collections: '++id, &name, createdAt',
+  collectionItems: '++id, collectionId, entityId, &[collectionId+entityId], *tags'
+});
+
+/**
+ * Durée de vie d'une source (TTL par défaut si inconnue)
+ */
+export function getSourceTTL(source) {
+  return SOURCE_TTL[source] ?? SOURCE_TTL.default;
+}
+
+function isFresh(cachedAt, ttl) {
+  return Date.now() - cachedAt < ttl;
+}
+
+/**
+ * Lit une entité depuis le cache
+ * Retourne null si absente ou si l'une de ses sources a expiré
+ * (dans ce cas l'entité est entièrement re-résolue)
+ */
+export async function getCachedEntity(id, lang) {
+  try {
+    const record = await db.entities.get([id, lang]);
+    if (!record || !isFresh(record.cachedAt, getSourceTTL('wikidata'))) return null;
+
+    const payloads = await db.sources.where('[entityId+lang]').equals([id, lang]).toArray();
+    const sources = {};
+
+    for (const payload of payloads) {
+      if (!isFresh(payload.cachedAt, getSourceTTL(payload.source))) return null;
+      sources[payload.source] = payload.data;
+    }
+
+    // Une source attendue a disparu du cache (purge partielle)
+    if (record.sourceNames.some(name => !sources[name])) return null;
+
+    const { cachedAt, sourceNames, lang: _lang, ...entity } = record;
+    return { ...entity, sources, fromCache: true };
+
+  } catch (error) {
+    console.warn('Cache read failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Enregistre une entité et chacune de ses sources séparément
+ */
+export async function cacheEntity(entity, lang) {
+  try {
+    const now = Date.now();
+    const { sources, fromCache, ...core } = entity;
+
+    await db.transaction('rw', db.entities, db.sources, async () => {
+      // On repart de zéro pour ne pas garder une source qui n'existe plus
+      await db.sources.where('[entityId+lang]').equals([entity.id, lang]).delete();
+
+      await db.entities.put({
+        ...core,
+        lang,
+        sourceNames: Object.keys(sources),
+        cachedAt: now
+      });
+
+      await db.sources.bulkPut(
+        Object.entries(sources).map(([source, data]) => ({
+          entityId: entity.id,
+          lang,
+          source,
+          data,
+          cachedAt: now
+        }))
+      );
+    });
+
+  } catch (error) {
+    console.warn('Cache write failed:', error);
+  }
+}
+
+/**
+ * Clé de cache d'un graphe (dépend de tous les paramètres de construction)
+ * @param {string} incoming - Empreinte des relations entrantes (vide si désactivées)
+ */
+export function graphKey(centerId, lang, depth, maxNodesPerLevel, incoming = '') {
+  return `${centerId}|${lang}|${depth}|${maxNodesPerLevel}${incoming ? `|${incoming}` : ''}`;
+}
+
+/**
+ * Lit un graphe depuis le cache (null si absent ou expiré)
+ */
+export async function getCachedGraph(key) {
+  try {
+    const record = await db.graphs.get(key);
+    if (!record || !isFresh(record.cachedAt, GRAPH_TTL)) return null;
+    return record.graph;
+
+  } catch (error) {
+    console.warn('Graph cache read failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Enregistre un graphe
+ * Les edges sont normalisés (source/target en IDs) car D3 les remplace
+ * par des références vers les objets nœuds pendant la simulation
+ */
+export async function cacheGraph(key, centerId, graph) {
+  try {
+    const snapshot = {
+      nodes: graph.nodes.map(({ x, y, vx, vy, fx, fy, index, ...node }) => node),
+      edges: graph.edges.map(edge => ({
+        ...edge,
+        source: edge.source.id || edge.source,
+        target: edge.target.id || edge.target
+      }))
+    };
+
+    await db.graphs.put({ key, centerId, graph: snapshot, cachedAt: Date.now() });
+
+  } catch (error) {
+    console.warn('Graph cache write failed:', error);
+  }
+}
+
+/**
+ * Lit les superclasses (P279) connues d'une liste de classes
+ * @returns {Promise<Object>} { [QID]: Array<QID> } pour les classes en cache et fraîches
+ */
+export async function getCachedClasses(ids) {
+  try {
+    const records = await db.classes.bulkGet(ids);
+    return Object.fromEntries(
+      records
+        .filter(record => record && isFresh(record.cachedAt, CLASS_TTL))
+        .map(record => [record.id, record.parents])
+    );
+
+  } catch (error) {
+    console.warn('Class cache read failed:', error);
+    return {};
+  }
+}
+
+/**
+ * Enregistre les superclasses de plusieurs classes ({ [QID]: Array<QID> })
+ */
+export async function cacheClasses(parentsById) {
+  try {
+    const now = Date.now();
+    await db.classes.bulkPut(
+      Object.entries(parentsById).map(([id, parents]) => ({ id, parents, cachedAt: now }))
+    );
+
+  } catch (error) {
+    console.warn('Class cache write failed:', error);
+  }
+}
+
+/**
+ * Vide tout le cache (entités, sources, graphes, classes)
+ * Les chemins et collections de l'utilisateur sont conservés
+ */
+export async function clearCache() {
+  await Promise.all([
+    db.entities.clear(),
+    db.graphs.clear(),
+    db.sources.clear(),
+    db.classes.clear()
+  ]);
+  console.log('🗑️ Cache vidé');
+}
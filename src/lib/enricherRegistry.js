@@ -0,0 +1,169 @@
+/**
+ * ENRICHER REGISTRY
+ *
+ * Registre des sources d'enrichissement d'une entité.
+ * Chaque enricher déclare son nom (= clé dans entity.sources), un prédicat
+ * appliesTo(entity), un timeout et ses dépendances vers d'autres enrichers.
+ * Ajouter une source = appeler registerEnricher(), sans toucher au resolver.
+ */
+
+const DEFAULT_TIMEOUT = 10000;
+
+const registry = new Map();
+
+/**
+ * Déclare un enricher
+ * @param {Object} definition
+ * @param {string} definition.name - Nom unique, utilisé comme clé dans entity.sources
+ * @param {Function} definition.run - async (entity, context) => payload (null/undefined = rien trouvé)
+ * @param {Function} [definition.appliesTo] - (entity, context) => boolean
+ * @param {number} [definition.timeout] - Durée max en ms (défaut 10s)
+ * @param {Array<string>} [definition.dependsOn] - Enrichers devant réussir avant celui-ci
+ */
+export function registerEnricher(definition) {
+  const { name, run, appliesTo = () => true, timeout = DEFAULT_TIMEOUT, dependsOn = [] } = definition;
+
+  if (!name || typeof run !== 'function') {
+    throw new Error('Un enricher doit avoir un nom et une fonction run');
+  }
+
+  registry.set(name, { name, run, appliesTo, timeout, dependsOn });
+}
+
+/**
+ * Retire un enricher du registre
+ */
+export function unregisterEnricher(name) {
+  registry.delete(name);
+}
+
+/**
+ * Liste les noms des enrichers enregistrés
+ */
+export function getEnricherNames() {
+  return Array.from(registry.keys());
+}
+
+/**
+ * Exécute les enrichers applicables sur une entité
+ * Chaque payload est écrit dans entity.sources[name] seulement si l'enricher
+ * termine à temps (un enricher en timeout ne peut plus modifier l'entité).
+ * @param {Entity} entity - Entité à enrichir
+ * @param {Object} context - Données partagées (titre Wikipedia, langue, signal d'annulation...)
+ *   Chaque enricher reçoit un context.signal qui combine l'annulation de l'appelant et son timeout
+ * @param {Object} selection
+ * @param {Array<string>} [selection.only] - N'exécuter que ces enrichers
+ * @param {Array<string>} [selection.skip] - Ne pas exécuter ces enrichers
+ * @returns {Promise<Object>} Rapport { [name]: { status, duration, reason?, error? } }
+ *   status : 'ok' | 'skipped' | 'failed' | 'timeout'
+ */
+export async function runEnrichers(entity, context = {}, selection = {}) {
+  const { only = null, skip = [] } = selection;
+  const report = {};
+  const running = new Map();
+
+  function isEnabled(name) {
+    return (!only || only.includes(name)) && !skip.includes(name);
+  }
+
+  // chain = enrichers en attente de celui-ci (détection des dépendances circulaires)
+  function run(enricher, chain = []) {
+    if (!running.has(enricher.name)) {
+      running.set(enricher.name, execute(enricher, [...chain, enricher.name]));
+    }
+    return running.get(enricher.name);
+  }
+
+  async function execute(enricher, chain) {
+    const { name } = enricher;
+
+    if (!isEnabled(name)) {
+      report[name] = { status: 'skipped', reason: 'disabled', duration: 0 };
+      return report[name];
+    }
+
+    // Attendre les dépendances : toutes doivent avoir réussi
+    for (const dependency of enricher.dependsOn) {
+      if (chain.includes(dependency)) {
+        report[name] = { status: 'skipped', reason: `dependency cycle via ${dependency}`, duration: 0 };
+        return report[name];
+      }
+
+      const dependencyEnricher = registry.get(dependency);
+      const result = dependencyEnricher
+        ? await run(dependencyEnricher, chain)
+        : { status: 'failed' };
+
+      if (result.status !== 'ok') {
+        report[name] = { status: 'skipped', reason: `dependency ${dependency} ${result.status}`, duration: 0 };
+        return report[name];
+      }
+    }
+
+    if (!enricher.appliesTo(entity, context)) {
+      report[name] = { status: 'skipped', reason: 'not applicable', duration: 0 };
+      return report[name];
+    }
+
+    const start = performance.now();
+
+    // Signal propre à l'enricher : annulé par l'appelant OU par le timeout,
+    // pour que ses requêtes en vol soient réellement interrompues
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(context.signal.reason);
+    context.signal?.addEventListener('abort', onAbort, { once: true });
+    let timer;
+
+    try {
+      context.signal?.throwIfAborted();
+
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          const error = new EnricherTimeoutError(name, enricher.timeout);
+          controller.abort(error);
+          reject(error);
+        }, enricher.timeout);
+      });
+
+      const run = enricher.run(entity, { ...context, signal: controller.signal });
+      const payload = await Promise.race([run, timeout]);
+
+      if (payload !== null && payload !== undefined) {
+        entity.sources[name] = payload;
+      }
+
+      report[name] = { status: 'ok', found: payload != null, duration: elapsed(start) };
+
+    } catch (error) {
+      const status = error instanceof EnricherTimeoutError ? 'timeout' : 'failed';
+      if (!context.signal?.aborted) {
+        console.warn(`Enricher ${name} ${status}:`, error.message);
+      }
+      report[name] = { status, error: error.message, duration: elapsed(start) };
+
+    } finally {
+      clearTimeout(timer);
+      context.signal?.removeEventListener('abort', onAbort);
+    }
+
+    return report[name];
+  }
+
+  await Promise.all(Array.from(registry.values()).map(enricher => run(enricher)));
+
+  // Résultat partiel d'une résolution annulée : inutilisable
+  context.signal?.throwIfAborted();
+
+  return report;
+}
+
+function elapsed(start) {
+  return Math.round(performance.now() - start);
+}
+
+class EnricherTimeoutError extends Error {
+  constructor(name, timeout) {
+    super(`${name} n'a pas répondu en ${timeout} ms`);
+    this.name = 'EnricherTimeoutError';
+  }
+}
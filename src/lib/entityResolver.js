@@ -5,6 +5,15 @@
  * et l'enrichit avec données de multiples sources (Wikidata, MusicBrainz, TMDB, etc.)
  */
 
+import { getCachedEntity, cacheEntity } from './db.js';
+import { registerEnricher, runEnrichers } from './enricherRegistry.js';
+import { fetchJSON, fetchText, isAbortError } from './httpClient.js';
+import { pickLocalized } from './languages.js';
+import { inferEntityType, TYPE_PRIORITY } from './typeInference.js';
+import { extractArticleLinks } from './wikipediaLinks.js';
+import { enrichFromTMDB, getTmdbTarget, getTmdbApiKey } from './tmdb.js';
+import { enrichFromMusicBrainz } from './musicbrainz.js';
+
 /**
  * Détecte la langue du navigateur (format ISO 2 lettres: fr, en, es, etc.)
  */
@@ -13,8 +22,10 @@ function getBrowserLanguage() {
   return lang.split('-')[0];
 }
 
-// Langue détectée (peut être changée manuellement)
-let CURRENT_LANG = getBrowserLanguage();
+const LANG_STORAGE_KEY = 'wikiwiki.lang';
+
+// Langue choisie précédemment, sinon celle du navigateur
+let CURRENT_LANG = localStorage.getItem(LANG_STORAGE_KEY) || getBrowserLanguage();
 
 console.log('🌍 Langue détectée:', CURRENT_LANG);
 
@@ -32,46 +43,41 @@ function getWikipediaRestAPI() {
 // Constantes
 const WIKIDATA_API = 'https://www.wikidata.org/w/api.php';
 const WIKIDATA_ENTITY_API = 'https://www.wikidata.org/wiki/Special:EntityData';
-const MUSICBRAINZ_API = 'https://musicbrainz.org/ws/2';
-const TMDB_API_KEY = null; // À configurer si besoin : obtenir sur themoviedb.org
+
+/**
+ * Filtres de type proposés à la recherche (un filtre peut couvrir plusieurs types)
+ */
+export const SEARCH_TYPES = {
+  person: ['person'],
+  group: ['group'],
+  place: ['place'],
+  work: ['musical_work', 'film', 'series', 'book', 'artwork'],
+  organisation: ['organisation'],
+  event: ['event'],
+  concept: ['concept', 'taxon']
+};
 
 /**
  * Point d'entrée principal avec recherche améliorée
  * Retourne soit une entité, soit une liste de candidats pour désambiguïsation
+ * @param {Object} options - { type, forceRefresh, signal } ; type = clé de SEARCH_TYPES,
+ *   les autres options sont transmises à resolveEntityFromCandidate
  */
-export async function resolveEntity(searchTerm) {
-  try {
-    const searchResults = await searchWikipedia(searchTerm);
-    
-    if (searchResults.length === 0) {
-      throw new Error(`Aucun résultat trouvé pour "${searchTerm}"`);
-    }
+export async function resolveEntity(searchTerm, options = {}) {
+  const { type = null, ...resolveOptions } = options;
 
-    const candidates = [];
-    
-    for (const title of searchResults) {
-      const result = await getWikidataIdFromWikipedia(title);
-      
-      // On vérifie si on a un ID et si on ne l'a pas déjà ajouté
-      if (result && result.id) {
-        const alreadyExists = candidates.find(c => c.wikidataId === result.id);
-        if (!alreadyExists) {
-          candidates.push({ 
-            title: result.realTitle, 
-            wikidataId: result.id 
-          });
-        }
-      }
-    }
+  try {
+    const { candidates, exactRedirect } = await findCandidates(searchTerm, { type, signal: options.signal });
     
     if (candidates.length === 0) {
-      throw new Error(`Aucun article valide trouvé pour "${searchTerm}"`);
+      throw new Error(`Aucun résultat trouvé pour "${searchTerm}"`);
     }
 
-    // Si on a un résultat exact ou si le premier candidat correspond 
-    // exactement à ce qu'on cherche (après redirection)
-    if (candidates.length === 1) {
-      return await resolveEntityFromCandidate(candidates[0].title, candidates[0].wikidataId);
+    // Un seul résultat, ou une redirection qui porte exactement le nom cherché
+    // ("Tolkien" → "J. R. R. Tolkien") : pas de désambiguïsation
+    const direct = exactRedirect || (candidates.length === 1 ? candidates[0] : null);
+    if (direct) {
+      return await resolveEntityFromCandidate(direct.title, direct.wikidataId, resolveOptions);
     }
 
     // Sinon, on propose la liste de désambiguïsation
@@ -81,26 +87,83 @@ export async function resolveEntity(searchTerm) {
     };
 
   } catch (error) {
-    console.error('Entity resolution error:', error);
+    if (!isAbortError(error)) console.error('Entity resolution error:', error);
     throw error;
   }
 }
 
+/**
+ * Recherche unifiée (autocomplétion, désambiguïsation) :
+ * articles Wikipedia de la langue courante + éléments Wikidata (labels et alias),
+ * y compris ceux qui n'ont pas d'article dans cette langue
+ * @param {string} query
+ * @param {Object} options
+ * @param {string} options.type - Clé de SEARCH_TYPES (null = tous)
+ * @param {AbortSignal} options.signal
+ * @returns {Promise<Array<Candidate>>} Candidats classés
+ */
+export async function searchEntities(query, options = {}) {
+  const { candidates } = await findCandidates(query, options);
+  return candidates;
+}
+
+async function findCandidates(query, { type = null, signal } = {}) {
+  const [titles, wikidataHits] = await Promise.all([
+    searchWikipedia(query, signal),
+    searchWikidata(query, signal)
+  ]);
+
+  const { candidates, exactRedirect } = await fetchCandidates(titles, wikidataHits, query, signal);
+  if (!type) return { candidates, exactRedirect };
+
+  const types = SEARCH_TYPES[type] || [type];
+  return {
+    candidates: candidates.filter(candidate => types.includes(candidate.type)),
+    exactRedirect: types.includes(exactRedirect?.type) ? exactRedirect : null
+  };
+}
+
 /**
  * Résout une entité depuis un titre et ID Wikidata connus
  * (utilisé après désambiguïsation ou pour résolution directe)
+ * Lit d'abord le cache IndexedDB, sauf si options.forceRefresh
+ * @param {Object} options
+ * @param {boolean} options.forceRefresh - Ignorer le cache IndexedDB
+ * @param {Object} options.enrichers - { only, skip } : sélection d'enrichers pour cet appel
+ *   (l'entité complète en cache la couvre ; une entité partielle n'y est jamais écrite)
+ * @param {AbortSignal} options.signal - Annule toutes les requêtes en cours (Wikidata + enrichers)
  */
-export async function resolveEntityFromCandidate(title, wikidataId) {
+export async function resolveEntityFromCandidate(title, wikidataId, options = {}) {
+  const { forceRefresh = false, enrichers = null, signal } = options;
+
   try {
+    if (!forceRefresh) {
+      const cached = await getCachedEntity(wikidataId, CURRENT_LANG);
+      signal?.throwIfAborted();
+      if (cached) {
+        console.log(`💾 ${wikidataId} servi depuis le cache`);
+        return cached;
+      }
+    }
+
     console.log(`Recherche "${title}" → Résolution ${wikidataId}`);
     
-    const wikidataEntity = await fetchWikidataEntity(wikidataId);
+    const wikidataEntity = await fetchWikidataEntity(wikidataId, signal);
+
+    // Le sitelink donne le titre exact de l'article dans la langue courante
+    // (indispensable pour un nœud connu seulement par son QID, ou après un
+    // changement de langue). Sans article dans cette langue, pas d'enrichissement
+    // Wikipedia : le titre reçu peut appartenir à une autre langue.
+    const wikiTitle = wikidataEntity.sitelinks?.[`${CURRENT_LANG}wiki`]?.title || null;
+
+    const typeInference = await inferEntityType(wikidataEntity, signal);
 
     const entity = {
       id: wikidataId,
-      name: getLabel(wikidataEntity, CURRENT_LANG) || title,
+      name: getLabel(wikidataEntity, CURRENT_LANG) || wikiTitle || title || wikidataId,
       description: getDescription(wikidataEntity, CURRENT_LANG),
-      type: inferEntityType(wikidataEntity),
+      type: typeInference.type,
+      typeConfidence: typeInference.confidence,
       identifiers: extractExternalIdentifiers(wikidataEntity),
       sources: {
         wikidata: {
@@ -110,31 +173,44 @@ export async function resolveEntityFromCandidate(title, wikidataId) {
       }
     };
 
-    // Enrichir en parallèle depuis toutes les sources
-    await Promise.allSettled([
-      enrichFromWikipedia(entity, title),
-      enrichFromWikipediaExternalLinks(entity, title), 
-      enrichFromMusicBrainz(entity),
-      enrichFromTMDB(entity),
-      enrichFromOpenLibrary(entity),
-      enrichFromWikimediaCommons(entity),
-      enrichFromOpenStreetMap(entity),
-      enrichFromArxiv(entity),
-      enrichFromArchiveOrg(entity)
-    ]);
+    // Enrichir en parallèle depuis toutes les sources du registre
+    entity.enrichment = await runEnrichers(
+      entity,
+      { title: wikiTitle, lang: CURRENT_LANG, signal },
+      enrichers || {}
+    );
+
+    // Une sélection partielle d'enrichers ne doit pas remplacer l'entité complète en cache
+    if (!enrichers) {
+      await cacheEntity(entity, CURRENT_LANG);
+    }
 
     return entity;
 
   } catch (error) {
-    console.error('Entity resolution error:', error);
+    if (!isAbortError(error)) console.error('Entity resolution error:', error);
     throw error;
   }
 }
 
+/**
+ * Résout une entité depuis un titre Wikipedia exact (sans recherche ni désambiguïsation)
+ * Utilisé pour les nœuds wiki:Titre du graphe
+ */
+export async function resolveEntityFromTitle(title, options = {}) {
+  const result = await getWikidataIdFromWikipedia(title, options.signal);
+
+  if (!result || !result.id) {
+    throw new Error(`Pas d'élément Wikidata pour "${title}"`);
+  }
+
+  return resolveEntityFromCandidate(result.realTitle, result.id, options);
+}
+
 /**
  * Recherche Wikipedia et retourne plusieurs résultats
  */
-async function searchWikipedia(query) {
+async function searchWikipedia(query, signal) {
   const params = new URLSearchParams({
     action: 'opensearch',
     search: query,
@@ -144,8 +220,7 @@ async function searchWikipedia(query) {
   });
 
   const url = `${getWikipediaAPI()}?${params}`;
-  const response = await fetch(url);
-  const data = await response.json();
+  const data = await fetchJSON(url, { signal });
   
   // opensearch retourne un tableau : [requête, [titres], [descriptions], [liens]]
   // Les titres sont dans le deuxième élément du tableau : data[1]
@@ -156,7 +231,267 @@ async function searchWikipedia(query) {
   return [];
 }
 
-async function getWikidataIdFromWikipedia(title) {
+/**
+ * Candidats de désambiguïsation en deux requêtes groupées :
+ * pageprops + miniature des titres Wikipedia (redirections suivies), puis
+ * description, claims et sitelinks de tous les QIDs (Wikidata).
+ * Les pages d'homonymie sont écartées ; les éléments Wikidata sans article
+ * dans la langue courante sont gardés (title = null).
+ * @param {Array<string>} titles - Titres d'opensearch
+ * @param {Array<Object>} wikidataHits - Résultats de wbsearchentities
+ * @returns {Promise<{candidates: Array<Candidate>, exactRedirect: Candidate|null}>}
+ */
+async function fetchCandidates(titles, wikidataHits, searchTerm, signal) {
+  const pages = new Map();
+  const finalTitle = new Map(titles.map(title => [title, title]));
+  let isRedirect = () => false;
+
+  if (titles.length > 0) {
+    const params = new URLSearchParams({
+      action: 'query',
+      titles: titles.join('|'),
+      redirects: 1,
+      prop: 'pageprops|pageimages',
+      ppprop: 'wikibase_item|disambiguation',
+      piprop: 'thumbnail',
+      pithumbsize: 80,
+      formatversion: 2,
+      format: 'json',
+      origin: '*'
+    });
+
+    const data = await fetchJSON(`${getWikipediaAPI()}?${params}`, { signal });
+    const query = data.query || {};
+
+    followTitleChanges(finalTitle, query);
+    const normalized = new Map((query.normalized || []).map(({ from, to }) => [from, to]));
+    const redirectSources = new Set((query.redirects || []).map(({ from }) => from));
+    isRedirect = title => redirectSources.has(normalized.get(title) || title);
+
+    for (const page of query.pages || []) {
+      if (page.missing || !page.pageprops?.wikibase_item || page.pageprops.disambiguation !== undefined) continue;
+      pages.set(page.title, page);
+    }
+  }
+
+  // Dans l'ordre de pertinence de chaque moteur, sans doublon de QID
+  const found = new Map();
+  titles.forEach((title, index) => {
+    const page = pages.get(finalTitle.get(title));
+    if (!page || found.has(page.pageprops.wikibase_item)) return;
+    found.set(page.pageprops.wikibase_item, { title, page, searchRank: index });
+  });
+  wikidataHits.forEach((hit, index) => {
+    const known = found.get(hit.id);
+    if (known) {
+      known.hit = hit;
+      known.searchRank = Math.min(known.searchRank, index);
+    } else {
+      found.set(hit.id, { hit, searchRank: index });
+    }
+  });
+
+  if (found.size === 0) return { candidates: [], exactRedirect: null };
+
+  const ids = [...found.keys()];
+  const entities = await fetchWikidataSummaries(ids, signal);
+
+  const types = await Promise.all(ids.map(id => entities[id]
+    ? inferEntityType(entities[id], signal)
+    : { type: 'entity', confidence: 0 }));
+
+  const normalizedQuery = normalizeTitle(searchTerm);
+  let exactRedirect = null;
+
+  const candidates = ids.map((id, i) => {
+    const { title, page, hit, searchRank } = found.get(id);
+    const entity = entities[id];
+    const articleTitle = page?.title || entity?.sitelinks?.[`${CURRENT_LANG}wiki`]?.title || null;
+    const matchedAlias = hit?.match?.type === 'alias' ? hit.match.text : null;
+
+    const exact = [title, page?.title, hit?.label]
+      .some(value => value && normalizeTitle(value) === normalizedQuery);
+
+    const candidate = {
+      title: articleTitle,
+      label: articleTitle || hit?.label || id,
+      wikidataId: id,
+      description: (entity && getDescription(entity, CURRENT_LANG)) || hit?.description || '',
+      thumbnail: page?.thumbnail?.source || null,
+      type: types[i].type,
+      typeConfidence: types[i].confidence,
+      sitelinks: Object.keys(entity?.sitelinks || {}).length,
+      matchedAlias,
+      exact,
+      searchRank
+    };
+
+    if (title && isRedirect(title) && normalizeTitle(title) === normalizedQuery) {
+      exactRedirect = candidate;
+    }
+    return candidate;
+  });
+
+  return { candidates: candidates.sort((a, b) => rankCandidate(b) - rankCandidate(a)), exactRedirect };
+}
+
+/**
+ * Ordre des candidats : titre exact (ou alias), puis popularité (nombre de
+ * wikis qui ont l'article), puis type connu, puis pertinence de la recherche
+ */
+function rankCandidate(candidate) {
+  let rank = candidate.exact ? 50 : 0;
+  // Un alias ("Hg" pour le mercure) compte moins que le nom lui-même
+  if (!candidate.exact && candidate.matchedAlias) rank += 15;
+  rank += Math.log2(1 + candidate.sitelinks) * 3;
+  // Le type départage seulement : un type inconnu n'est pas une entité moins pertinente
+  if (candidate.type !== 'entity') rank += 1 + (TYPE_PRIORITY.length - TYPE_PRIORITY.indexOf(candidate.type)) * 0.1;
+  rank -= candidate.searchRank;
+  return rank;
+}
+
+function normalizeTitle(title) {
+  return title.trim().replace(/_/g, ' ').toLocaleLowerCase();
+}
+
+/**
+ * Descriptions, claims (P31 pour le type) et sitelinks de plusieurs entités
+ * en une requête (50 IDs max)
+ */
+async function fetchWikidataSummaries(ids, signal) {
+  const params = new URLSearchParams({
+    action: 'wbgetentities',
+    ids: ids.slice(0, 50).join('|'),
+    props: 'descriptions|claims|sitelinks',
+    format: 'json',
+    origin: '*'
+  });
+
+  const data = await fetchJSON(`${WIKIDATA_API}?${params}`, { signal });
+  return data.entities || {};
+}
+
+/**
+ * Entités Wikidata brutes de plusieurs QIDs (wbgetentities, lots de 50)
+ * @param {Array<string>} ids
+ * @param {string} props - Parties demandées ('claims', 'labels|claims'...)
+ * @returns {Promise<Object<string, Object>>} QID → entité (absente si inexistante)
+ */
+export async function fetchWikidataEntities(ids, props, signal) {
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += 50) chunks.push(ids.slice(i, i + 50));
+
+  const results = await Promise.all(chunks.map(async chunk => {
+    const params = new URLSearchParams({
+      action: 'wbgetentities',
+      ids: chunk.join('|'),
+      props,
+      format: 'json',
+      origin: '*'
+    });
+    const data = await fetchJSON(`${WIKIDATA_API}?${params}`, { signal });
+    return Object.entries(data.entities || {}).filter(([, entity]) => entity.missing === undefined);
+  }));
+
+  return Object.fromEntries(results.flat());
+}
+
+/**
+ * Recherche Wikidata (labels et alias, dans la langue courante avec repli)
+ * @returns {Promise<Array<Object>>} { id, label, description, match: { type, text } }
+ */
+async function searchWikidata(query, signal) {
+  const params = new URLSearchParams({
+    action: 'wbsearchentities',
+    search: query,
+    language: CURRENT_LANG,
+    uselang: CURRENT_LANG,
+    type: 'item',
+    limit: 10,
+    format: 'json',
+    origin: '*'
+  });
+
+  try {
+    const data = await fetchJSON(`${WIKIDATA_API}?${params}`, { signal });
+    return data.search || [];
+  } catch (error) {
+    // Wikipedia seule reste utilisable
+    if (isAbortError(error)) throw error;
+    console.warn('Recherche Wikidata indisponible:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Titre demandé → titre final (normalisation de casse puis redirection)
+ * @param {Map<string, string>} finalTitle - Titre demandé → titre courant (mis à jour)
+ * @param {Object} query - Bloc "query" d'une réponse action=query&redirects=1
+ */
+function followTitleChanges(finalTitle, query) {
+  for (const { from, to } of [...(query.normalized || []), ...(query.redirects || [])]) {
+    for (const [title, current] of finalTitle) {
+      if (current === from) finalTitle.set(title, to);
+    }
+  }
+}
+
+// `${langue}|${titre}` → QID (null si l'article n'a pas d'élément)
+const titleItemCache = new Map();
+
+/**
+ * Éléments Wikidata de plusieurs articles de la langue courante
+ * (pageprops par lots de 50, redirections suivies, résultats gardés en mémoire)
+ * @param {Array<string>} titles - Titres d'articles
+ * @returns {Promise<Map<string, string|null>>} Titre → QID
+ */
+export async function getWikidataIdsForTitles(titles, signal) {
+  const result = new Map();
+  const missing = [];
+
+  for (const title of new Set(titles)) {
+    const key = `${CURRENT_LANG}|${title}`;
+    if (titleItemCache.has(key)) {
+      result.set(title, titleItemCache.get(key));
+    } else {
+      missing.push(title);
+    }
+  }
+
+  for (let i = 0; i < missing.length; i += 50) {
+    const chunk = missing.slice(i, i + 50);
+    const params = new URLSearchParams({
+      action: 'query',
+      titles: chunk.join('|'),
+      redirects: 1,
+      prop: 'pageprops',
+      ppprop: 'wikibase_item',
+      formatversion: 2,
+      format: 'json',
+      origin: '*'
+    });
+
+    const data = await fetchJSON(`${getWikipediaAPI()}?${params}`, { signal });
+    const query = data.query || {};
+
+    const finalTitle = new Map(chunk.map(title => [title, title]));
+    followTitleChanges(finalTitle, query);
+
+    const items = new Map((query.pages || [])
+      .filter(page => page.pageprops?.wikibase_item)
+      .map(page => [page.title, page.pageprops.wikibase_item]));
+
+    for (const title of chunk) {
+      const id = items.get(finalTitle.get(title)) || null;
+      titleItemCache.set(`${CURRENT_LANG}|${title}`, id);
+      result.set(title, id);
+    }
+  }
+
+  return result;
+}
+
+async function getWikidataIdFromWikipedia(title, signal) {
   const params = new URLSearchParams({
     action: 'query',
     prop: 'pageprops',
@@ -167,8 +502,7 @@ async function getWikidataIdFromWikipedia(title) {
     origin: '*'
   });
 
-  const response = await fetch(`${getWikipediaAPI()}?${params}`);
-  const data = await response.json();
+  const data = await fetchJSON(`${getWikipediaAPI()}?${params}`, { signal });
   
   if (!data.query || !data.query.pages) return null;
 
@@ -187,13 +521,11 @@ async function getWikidataIdFromWikipedia(title) {
 /**
  * Récupère l'entité complète depuis Wikidata
  */
-async function fetchWikidataEntity(wikidataId) {
-  const response = await fetch(
+async function fetchWikidataEntity(wikidataId, signal) {
+  const data = await fetchJSON(
     `${WIKIDATA_ENTITY_API}/${wikidataId}.json`,
-    { headers: { 'Accept': 'application/json' } }
+    { headers: { 'Accept': 'application/json' }, signal }
   );
-  
-  const data = await response.json();
   return data.entities[wikidataId];
 }
 
@@ -206,8 +538,11 @@ function extractExternalIdentifiers(wikidataEntity) {
 
   const propertyMap = {
     'P434': 'musicbrainz',           // MusicBrainz artist ID
-    'P1004': 'musicbrainz_work',     // MusicBrainz work ID
-    'P4985': 'tmdb',                 // TMDB ID
+    'P435': 'musicbrainz_work',      // MusicBrainz work ID
+    'P1004': 'musicbrainz_place',    // MusicBrainz place ID
+    'P4947': 'tmdb_movie',           // TMDB movie ID
+    'P4983': 'tmdb_tv',              // TMDB TV series ID
+    'P4985': 'tmdb_person',          // TMDB person ID
     'P214': 'viaf',                  // VIAF ID
     'P227': 'gnd',                   // GND ID
     'P1953': 'discogs',              // Discogs artist ID
@@ -245,470 +580,393 @@ function extractExternalIdentifiers(wikidataEntity) {
 /**
  * ENRICHISSEMENT WIKIPEDIA
  */
-async function enrichFromWikipedia(entity, title) {
-  try {
-    // Récupérer le résumé
-    const summaryResponse = await fetch(
-      `${getWikipediaRestAPI()}/page/summary/${encodeURIComponent(title)}`
-    );
-    const summary = await summaryResponse.json();
-
-    entity.sources.wikipedia = {
-      title: summary.title,
-      extract: summary.extract,
-      thumbnail: summary.thumbnail?.source,
-      url: summary.content_urls?.desktop?.page
-    };
+async function enrichFromWikipedia(entity, { title, signal }) {
+  // Récupérer le résumé
+  const summary = await fetchJSON(
+    `${getWikipediaRestAPI()}/page/summary/${encodeURIComponent(title)}`,
+    { signal }
+  );
 
-    // Récupérer les liens internes (pour le graphe)
-    const linksParams = new URLSearchParams({
-      action: 'parse',
-      page: title,
-      prop: 'links',
-      format: 'json',
-      origin: '*'
-    });
+  const wikipedia = {
+    title: summary.title,
+    extract: summary.extract,
+    thumbnail: summary.thumbnail?.source,
+    url: summary.content_urls?.desktop?.page
+  };
 
-    const linksResponse = await fetch(`${getWikipediaAPI()}?${linksParams}`);
-    const linksData = await linksResponse.json();
-    
-    if (linksData.parse?.links) {
-      entity.sources.wikipedia.links = linksData.parse.links
-        .slice(0, 50)
-        .map(link => link['*']);
-    }
+  // Récupérer les liens internes (pour le graphe) depuis le HTML de l'article :
+  // prop=links ne donne ni l'ordre ni la section où chaque lien apparaît
+  const linksParams = new URLSearchParams({
+    action: 'parse',
+    page: title,
+    prop: 'text',
+    disabletoc: 1,
+    disableeditsection: 1,
+    disablelimitreport: 1,
+    formatversion: 2,
+    format: 'json',
+    origin: '*'
+  });
 
-  } catch (error) {
-    console.warn('Wikipedia enrichment failed:', error);
+  const linksData = await fetchJSON(`${getWikipediaAPI()}?${linksParams}`, { signal });
+  
+  if (linksData.parse?.text) {
+    wikipedia.links = extractArticleLinks(linksData.parse.text, CURRENT_LANG);
   }
+
+  return wikipedia;
 }
 
 /**
  * ENRICHISSEMENT LIENS EXTERNES WIKIPEDIA
  * Parse les liens externes structurés (AllMusic, Discogs, IMDb, etc.)
  */
-async function enrichFromWikipediaExternalLinks(entity, title) {
-  try {
-    // Récupérer le HTML de la page pour parser les liens externes
-    const params = new URLSearchParams({
-      action: 'parse',
-      page: title,
-      prop: 'externallinks',
-      format: 'json',
-      origin: '*'
-    });
+async function enrichFromWikipediaExternalLinks(entity, { title, signal }) {
+  // Récupérer le HTML de la page pour parser les liens externes
+  const params = new URLSearchParams({
+    action: 'parse',
+    page: title,
+    prop: 'externallinks',
+    format: 'json',
+    origin: '*'
+  });
 
-    const response = await fetch(`${getWikipediaAPI()}?${params}`);
-    const data = await response.json();
-    
-    if (!data.parse?.externallinks) return;
+  const data = await fetchJSON(`${getWikipediaAPI()}?${params}`, { signal });
+  
+  if (!data.parse?.externallinks) return null;
 
-    const externalLinks = data.parse.externallinks;
-    
-    // Catégoriser les liens par domaine
-    const categorizedLinks = {
-      music: [],
-      video: [],
-      social: [],
-      official: [],
-      other: []
-    };
+  const externalLinks = data.parse.externallinks;
+  
+  // Catégoriser les liens par domaine
+  const categorizedLinks = {
+    music: [],
+    video: [],
+    social: [],
+    official: [],
+    other: []
+  };
 
-    // Domaines musicaux
-    const musicDomains = [
-      'allmusic.com', 'discogs.com', 'musicbrainz.org', 
-      'last.fm', 'spotify.com', 'deezer.com', 'rateyourmusic.com',
-      'allaboutjazz.com', 'jazzmusicarchives.com'
-    ];
-
-    // Domaines vidéo/film
-    const videoDomains = [
-      'imdb.com', 'allocine.fr', 'rottentomatoes.com',
-      'youtube.com', 'youtu.be', 'vimeo.com'
-    ];
-
-    // Réseaux sociaux
-    const socialDomains = [
-      'facebook.com', 'twitter.com', 'instagram.com',
-      'linkedin.com', 'tiktok.com'
-    ];
-
-    for (const link of externalLinks) {
-      try {
-        const url = new URL(link);
-        const domain = url.hostname.replace('www.', '');
-        
-        const linkObj = {
-          url: link,
-          domain: domain,
-          display: domain.split('.')[0] // "allmusic" de "allmusic.com"
-        };
-
-        if (domain.includes('official') || domain === entity.name.toLowerCase().replace(/\s+/g, '')) {
-          categorizedLinks.official.push(linkObj);
-        } else if (musicDomains.some(d => domain.includes(d))) {
-          categorizedLinks.music.push(linkObj);
-        } else if (videoDomains.some(d => domain.includes(d))) {
-          categorizedLinks.video.push(linkObj);
-        } else if (socialDomains.some(d => domain.includes(d))) {
-          categorizedLinks.social.push(linkObj);
-        } else {
-          categorizedLinks.other.push(linkObj);
-        }
-      } catch (e) {
-        // URL invalide, ignorer
+  // Domaines musicaux
+  const musicDomains = [
+    'allmusic.com', 'discogs.com', 'musicbrainz.org', 
+    'last.fm', 'spotify.com', 'deezer.com', 'rateyourmusic.com',
+    'allaboutjazz.com', 'jazzmusicarchives.com'
+  ];
+
+  // Domaines vidéo/film
+  const videoDomains = [
+    'imdb.com', 'allocine.fr', 'rottentomatoes.com',
+    'youtube.com', 'youtu.be', 'vimeo.com'
+  ];
+
+  // Réseaux sociaux
+  const socialDomains = [
+    'facebook.com', 'twitter.com', 'instagram.com',
+    'linkedin.com', 'tiktok.com'
+  ];
+
+  for (const link of externalLinks) {
+    try {
+      const url = new URL(link);
+      const domain = url.hostname.replace('www.', '');
+      
+      const linkObj = {
+        url: link,
+        domain: domain,
+        display: domain.split('.')[0] // "allmusic" de "allmusic.com"
+      };
+
+      if (domain.includes('official') || domain === entity.name.toLowerCase().replace(/\s+/g, '')) {
+        categorizedLinks.official.push(linkObj);
+      } else if (musicDomains.some(d => domain.includes(d))) {
+        categorizedLinks.music.push(linkObj);
+      } else if (videoDomains.some(d => domain.includes(d))) {
+        categorizedLinks.video.push(linkObj);
+      } else if (socialDomains.some(d => domain.includes(d))) {
+        categorizedLinks.social.push(linkObj);
+      } else {
+        categorizedLinks.other.push(linkObj);
       }
+    } catch (e) {
+      // URL invalide, ignorer
     }
-
-    // Ne garder que les catégories non vides
-    entity.sources.external_links = Object.fromEntries(
-      Object.entries(categorizedLinks).filter(([key, val]) => val.length > 0)
-    );
-
-    console.log('🔗 Liens externes trouvés:', Object.keys(entity.sources.external_links));
-
-  } catch (error) {
-    console.warn('External links enrichment failed:', error);
   }
-}
 
-/**
- * ENRICHISSEMENT MUSICBRAINZ (musique)
- */
-async function enrichFromMusicBrainz(entity) {
-  if (!entity.identifiers.musicbrainz) return;
-
-  try {
-    const mbId = entity.identifiers.musicbrainz;
-    const response = await fetch(
-      `${MUSICBRAINZ_API}/artist/${mbId}?fmt=json&inc=recordings+releases+url-rels`,
-      { headers: { 'User-Agent': 'WikiWiki/0.1.0 (educational)' } }
-    );
-
-    // Rate limit MusicBrainz : 1 req/sec
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    const data = await response.json();
+  // Ne garder que les catégories non vides
+  const links = Object.fromEntries(
+    Object.entries(categorizedLinks).filter(([key, val]) => val.length > 0)
+  );
 
-    entity.sources.musicbrainz = {
-      name: data.name,
-      type: data.type,
-      recordings: data.recordings?.slice(0, 20),
-      releases: data.releases?.slice(0, 20),
-      relations: data.relations
-    };
+  console.log('🔗 Liens externes trouvés:', Object.keys(links));
 
-  } catch (error) {
-    console.warn('MusicBrainz enrichment failed:', error);
-  }
+  return links;
 }
 
 /**
- * ENRICHISSEMENT TMDB (films/séries)
+ * ENRICHISSEMENT OPENLIBRARY (livres)
  */
-async function enrichFromTMDB(entity) {
-  if (!entity.identifiers.tmdb || !TMDB_API_KEY) return;
-
-  try {
-    const tmdbId = entity.identifiers.tmdb;
-    const response = await fetch(
-      `https://api.themoviedb.org/3/movie/${tmdbId}?api_key=${TMDB_API_KEY}&language=${CURRENT_LANG}`
-    );
+async function enrichFromOpenLibrary(entity, { signal }) {
+  const olId = entity.identifiers.openlibrary;
+  
+  let endpoint = '';
+  if (olId.startsWith('OL') && olId.includes('A')) {
+    endpoint = `https://openlibrary.org/authors/${olId}.json`;
+  } else if (olId.startsWith('OL') && olId.includes('W')) {
+    endpoint = `https://openlibrary.org/works/${olId}.json`;
+  } else {
+    return null;
+  }
 
-    const data = await response.json();
+  const data = await fetchJSON(endpoint, { signal });
 
-    entity.sources.tmdb = {
-      title: data.title,
-      overview: data.overview,
-      release_date: data.release_date,
-      poster: data.poster_path ? `https://image.tmdb.org/t/p/w500${data.poster_path}` : null,
-      backdrop: data.backdrop_path ? `https://image.tmdb.org/t/p/w1280${data.backdrop_path}` : null,
-      rating: data.vote_average,
-      genres: data.genres
-    };
-
-  } catch (error) {
-    console.warn('TMDB enrichment failed:', error);
-  }
+  return {
+    name: data.name || data.title,
+    bio: data.bio?.value || data.description?.value,
+    birth_date: data.birth_date,
+    death_date: data.death_date,
+    works_count: data.work_count,
+    cover: data.covers?.[0] ? `https://covers.openlibrary.org/b/id/${data.covers[0]}-L.jpg` : null
+  };
 }
 
-/**
- * ENRICHISSEMENT OPENLIBRARY (livres)
- */
-async function enrichFromOpenLibrary(entity) {
-  if (!entity.identifiers.openlibrary) return;
-
-  try {
-    const olId = entity.identifiers.openlibrary;
-    
-    let endpoint = '';
-    if (olId.startsWith('OL') && olId.includes('A')) {
-      endpoint = `https://openlibrary.org/authors/${olId}.json`;
-    } else if (olId.startsWith('OL') && olId.includes('W')) {
-      endpoint = `https://openlibrary.org/works/${olId}.json`;
-    } else {
-      return;
-    }
+async function enrichFromWikimediaCommons(entity, { signal }) {
+  const searchTerm = entity.name;
+  
+  const params = new URLSearchParams({
+    action: 'query',
+    generator: 'search',
+    gsrsearch: searchTerm,
+    gsrnamespace: '6',
+    gsrlimit: '5',
+    prop: 'imageinfo',
+    // On demande thumburl en plus de url
+    iiprop: 'url|size|thumburl', 
+    // On définit une largeur de vignette (ex: 800px) 
+    // C'est cela qui transforme les .tif en .jpg lisibles
+    iiurlwidth: '800', 
+    format: 'json',
+    origin: '*'
+  });
 
-    const response = await fetch(endpoint);
-    const data = await response.json();
+  const data = await fetchJSON(`https://commons.wikimedia.org/w/api.php?${params}`, { signal });
 
-    entity.sources.openlibrary = {
-      name: data.name || data.title,
-      bio: data.bio?.value || data.description?.value,
-      birth_date: data.birth_date,
-      death_date: data.death_date,
-      works_count: data.work_count,
-      cover: data.covers?.[0] ? `https://covers.openlibrary.org/b/id/${data.covers[0]}-L.jpg` : null
-    };
+  if (!data.query?.pages) return null;
 
-  } catch (error) {
-    console.warn('OpenLibrary enrichment failed:', error);
-  }
-}
+  const images = Object.values(data.query.pages)
+    .filter(page => page.imageinfo)
+    .map(page => ({
+      // On utilise le thumburl (le JPG généré) au lieu de l'URL originale
+      url: page.imageinfo[0].thumburl || page.imageinfo[0].url,
+      source_url: page.imageinfo[0].url, // On garde l'originale au cas où
+      width: page.imageinfo[0].width,
+      height: page.imageinfo[0].height,
+      title: page.title
+    }));
 
-async function enrichFromWikimediaCommons(entity) {
-  try {
-    const searchTerm = entity.name;
-    
-    const params = new URLSearchParams({
-      action: 'query',
-      generator: 'search',
-      gsrsearch: searchTerm,
-      gsrnamespace: '6',
-      gsrlimit: '5',
-      prop: 'imageinfo',
-      // On demande thumburl en plus de url
-      iiprop: 'url|size|thumburl', 
-      // On définit une largeur de vignette (ex: 800px) 
-      // C'est cela qui transforme les .tif en .jpg lisibles
-      iiurlwidth: '800', 
-      format: 'json',
-      origin: '*'
-    });
-
-    const response = await fetch(`https://commons.wikimedia.org/w/api.php?${params}`);
-    const data = await response.json();
-
-    if (data.query?.pages) {
-      const images = Object.values(data.query.pages)
-        .filter(page => page.imageinfo)
-        .map(page => ({
-          // On utilise le thumburl (le JPG généré) au lieu de l'URL originale
-          url: page.imageinfo[0].thumburl || page.imageinfo[0].url,
-          source_url: page.imageinfo[0].url, // On garde l'originale au cas où
-          width: page.imageinfo[0].width,
-          height: page.imageinfo[0].height,
-          title: page.title
-        }));
-
-      entity.sources.wikimedia_commons = {
-        images: images.slice(0, 5)
-      };
-    }
-
-  } catch (error) {
-    console.warn('Wikimedia Commons enrichment failed:', error);
-  }
+  return {
+    images: images.slice(0, 5)
+  };
 }
 
 /**
  * ENRICHISSEMENT OPENSTREETMAP (géographie)
  */
-async function enrichFromOpenStreetMap(entity) {
-  if (!entity.identifiers.coordinates) return;
-
-  try {
-    const { latitude, longitude } = entity.identifiers.coordinates;
-    
-    const response = await fetch(
-      `https://nominatim.openstreetmap.org/reverse?lat=${latitude}&lon=${longitude}&format=json&zoom=18`,
-      { headers: { 'User-Agent': 'WikiWiki/0.1.0 (educational)' } }
-    );
-
-    const data = await response.json();
-
-    entity.sources.openstreetmap = {
-      latitude,
-      longitude,
-      display_name: data.display_name,
-      address: data.address,
-      type: data.type,
-      osm_id: data.osm_id,
-      map_url: `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=15/${latitude}/${longitude}`
-    };
-
-    // Rate limit Nominatim : 1 req/sec
-    await new Promise(resolve => setTimeout(resolve, 1000));
+async function enrichFromOpenStreetMap(entity, { signal }) {
+  const { latitude, longitude } = entity.identifiers.coordinates;
+  
+  const data = await fetchJSON(
+    `https://nominatim.openstreetmap.org/reverse?lat=${latitude}&lon=${longitude}&format=json&zoom=18`,
+    { signal }
+  );
 
-  } catch (error) {
-    console.warn('OpenStreetMap enrichment failed:', error);
-  }
+  return {
+    latitude,
+    longitude,
+    display_name: data.display_name,
+    address: data.address,
+    type: data.type,
+    osm_id: data.osm_id,
+    map_url: `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=15/${latitude}/${longitude}`
+  };
 }
 
 /**
  * ENRICHISSEMENT ARXIV (articles scientifiques)
  */
-async function enrichFromArxiv(entity) {
-  // Uniquement pour concepts scientifiques
-  if (entity.type !== 'concept') return;
-
-  try {
-    const searchTerm = encodeURIComponent(entity.name);
-    const response = await fetch(
-      `http://export.arxiv.org/api/query?search_query=all:${searchTerm}&start=0&max_results=5`
-    );
+async function enrichFromArxiv(entity, { signal }) {
+  const searchTerm = encodeURIComponent(entity.name);
+  const xmlText = await fetchText(
+    `http://export.arxiv.org/api/query?search_query=all:${searchTerm}&start=0&max_results=5`,
+    { signal }
+  );
+  
+  // Parse XML simple
+  const entries = xmlText.match(/<entry>[\s\S]*?<\/entry>/g);
+  
+  if (!entries) return null;
 
-    const xmlText = await response.text();
-    
-    // Parse XML simple
-    const entries = xmlText.match(/<entry>[\s\S]*?<\/entry>/g);
+  const papers = entries.slice(0, 3).map(entry => {
+    const title = entry.match(/<title>(.*?)<\/title>/)?.[1];
+    const summary = entry.match(/<summary>(.*?)<\/summary>/)?.[1];
+    const published = entry.match(/<published>(.*?)<\/published>/)?.[1];
+    const id = entry.match(/<id>(.*?)<\/id>/)?.[1];
     
-    if (entries) {
-      const papers = entries.slice(0, 3).map(entry => {
-        const title = entry.match(/<title>(.*?)<\/title>/)?.[1];
-        const summary = entry.match(/<summary>(.*?)<\/summary>/)?.[1];
-        const published = entry.match(/<published>(.*?)<\/published>/)?.[1];
-        const id = entry.match(/<id>(.*?)<\/id>/)?.[1];
-        
-        return { title, summary, published, url: id };
-      });
-
-      entity.sources.arxiv = { papers };
-    }
+    return { title, summary, published, url: id };
+  });
 
-  } catch (error) {
-    console.warn('arXiv enrichment failed:', error);
-  }
+  return { papers };
 }
 
 /**
  * ENRICHISSEMENT ARCHIVE.ORG (adapté au type d'entité)
  */
-async function enrichFromArchiveOrg(entity) {
-  try {
-    let searchQuery = entity.name;
-    let mediaTypeFilter = '';
-    
-    // Adapter la recherche selon le type
-    if (entity.type === 'person') {
-      // Pour une personne, chercher par creator exact
-      searchQuery = `creator:"${entity.name}"`;
-      mediaTypeFilter = '(mediatype:audio OR mediatype:movies)';
-    } else if (entity.type === 'concept') {
-      // Pour un concept générique (comme "Jazz"), ne pas chercher
-      // C'est trop vague et retourne n'importe quoi
-      return;
-    } else {
-      // Pour les œuvres, chercher le titre exact
-      searchQuery = `title:"${entity.name}"`;
-    }
-    
-    const searchParams = new URLSearchParams({
-      q: `${searchQuery} AND ${mediaTypeFilter}`,
-      'fl[]': ['identifier', 'title', 'mediatype', 'date', 'creator', 'downloads'].join(','),
-      rows: 5,
-      output: 'json',
-      sort: 'downloads desc' // Trier par popularité
-    });
+async function enrichFromArchiveOrg(entity, { signal }) {
+  let searchQuery = entity.name;
+  let mediaTypeFilter = '';
+  
+  // Adapter la recherche selon le type
+  if (entity.type === 'person' || entity.type === 'group') {
+    // Pour une personne ou un groupe, chercher par creator exact
+    searchQuery = `creator:"${entity.name}"`;
+    mediaTypeFilter = '(mediatype:audio OR mediatype:movies)';
+  } else {
+    // Pour les œuvres, chercher le titre exact
+    searchQuery = `title:"${entity.name}"`;
+  }
+  
+  const searchParams = new URLSearchParams({
+    q: `${searchQuery} AND ${mediaTypeFilter}`,
+    'fl[]': ['identifier', 'title', 'mediatype', 'date', 'creator', 'downloads'].join(','),
+    rows: 5,
+    output: 'json',
+    sort: 'downloads desc' // Trier par popularité
+  });
 
-    const response = await fetch(
-      `https://archive.org/advancedsearch.php?${searchParams}`
-    );
+  const data = await fetchJSON(
+    `https://archive.org/advancedsearch.php?${searchParams}`,
+    { signal }
+  );
 
-    const data = await response.json();
+  if (!data.response?.docs || data.response.docs.length === 0) {
+    return null;
+  }
 
-    if (!data.response?.docs || data.response.docs.length === 0) {
-      return;
-    }
+  const items = data.response.docs;
+  
+  const videos = items.filter(item => 
+    item.mediatype === 'movies' || item.mediatype === 'video'
+  ).slice(0, 3);
+
+  const audio = items.filter(item => 
+    item.mediatype === 'audio' || item.mediatype === 'etree'
+  ).slice(0, 5);
+
+  const texts = items.filter(item => 
+    item.mediatype === 'texts'
+  ).slice(0, 5);
+
+  const enrichItem = (item) => ({
+    identifier: item.identifier,
+    title: item.title,
+    date: item.date,
+    creator: item.creator,
+    downloads: item.downloads,
+    url: `https://archive.org/details/${item.identifier}`,
+    embed_url: `https://archive.org/embed/${item.identifier}`
+  });
 
-    const items = data.response.docs;
-    
-    const videos = items.filter(item => 
-      item.mediatype === 'movies' || item.mediatype === 'video'
-    ).slice(0, 3);
-
-    const audio = items.filter(item => 
-      item.mediatype === 'audio' || item.mediatype === 'etree'
-    ).slice(0, 5);
-
-    const texts = items.filter(item => 
-      item.mediatype === 'texts'
-    ).slice(0, 5);
-
-    const enrichItem = (item) => ({
-      identifier: item.identifier,
-      title: item.title,
-      date: item.date,
-      creator: item.creator,
-      downloads: item.downloads,
-      url: `https://archive.org/details/${item.identifier}`,
-      embed_url: `https://archive.org/embed/${item.identifier}`
-    });
+  console.log(`📼 Archive.org: ${videos.length} vidéos, ${audio.length} audios trouvés`);
 
-    entity.sources.archive_org = {
-      videos: videos.map(enrichItem),
-      audio: audio.map(enrichItem),
-      texts: texts.map(enrichItem),
-      total_results: data.response.numFound
-    };
+  return {
+    videos: videos.map(enrichItem),
+    audio: audio.map(enrichItem),
+    texts: texts.map(enrichItem),
+    total_results: data.response.numFound
+  };
+}
 
-    console.log(`📼 Archive.org: ${videos.length} vidéos, ${audio.length} audios trouvés`);
+/**
+ * ENRICHERS INTÉGRÉS
+ * Le nom de chaque enricher est la clé de son payload dans entity.sources.
+ * D'autres sources peuvent être ajoutées ailleurs via registerEnricher().
+ */
+registerEnricher({
+  name: 'wikipedia',
+  run: enrichFromWikipedia,
+  appliesTo: (entity, { title }) => Boolean(title)
+});
+
+registerEnricher({
+  name: 'external_links',
+  run: enrichFromWikipediaExternalLinks,
+  appliesTo: (entity, { title }) => Boolean(title)
+});
+
+registerEnricher({
+  name: 'musicbrainz',
+  run: enrichFromMusicBrainz,
+  appliesTo: entity => Boolean(entity.identifiers.musicbrainz || entity.identifiers.musicbrainz_work),
+  timeout: 30000 // inclut l'attente dans la file de l'hôte (1 req/s)
+});
+
+registerEnricher({
+  name: 'tmdb',
+  run: enrichFromTMDB,
+  // Sans clé d'API (réglages ou VITE_TMDB_API_KEY), TMDB refuse toute requête
+  appliesTo: entity => Boolean(getTmdbTarget(entity) && getTmdbApiKey()),
+  timeout: 20000 // inclut la requête SPARQL qui relie les crédits à Wikidata
+});
+
+registerEnricher({
+  name: 'openlibrary',
+  run: enrichFromOpenLibrary,
+  appliesTo: entity => Boolean(entity.identifiers.openlibrary)
+});
+
+registerEnricher({
+  name: 'wikimedia_commons',
+  run: enrichFromWikimediaCommons
+});
+
+registerEnricher({
+  name: 'openstreetmap',
+  run: enrichFromOpenStreetMap,
+  appliesTo: entity => Boolean(entity.identifiers.coordinates),
+  timeout: 30000 // inclut l'attente dans la file de l'hôte (1 req/s)
+});
+
+registerEnricher({
+  name: 'arxiv',
+  run: enrichFromArxiv,
+  // Uniquement pour concepts scientifiques
+  appliesTo: entity => entity.type === 'concept'
+});
 
-  } catch (error) {
-    console.warn('Archive.org enrichment failed:', error);
-  }
-}
+registerEnricher({
+  name: 'archive_org',
+  run: enrichFromArchiveOrg,
+  // Pour un concept générique (comme "Jazz"), ne pas chercher :
+  // c'est trop vague et retourne n'importe quoi
+  appliesTo: entity => entity.type !== 'concept'
+});
 
 /**
  * HELPERS
  */
 function getLabel(entity, lang = 'en') {
-  return entity.labels?.[lang]?.value || entity.labels?.['en']?.value;
+  return pickLocalized(entity.labels, lang);
 }
 
 function getDescription(entity, lang = 'en') {
-  return entity.descriptions?.[lang]?.value || entity.descriptions?.['en']?.value;
-}
-
-function inferEntityType(entity) {
-  const claims = entity.claims || {};
-  
-  // P31 = "instance of"
-  if (claims.P31 && claims.P31.length > 0) {
-    const instanceOf = claims.P31[0].mainsnak.datavalue?.value?.id;
-    
-    const typeMap = {
-      'Q5': 'person',
-      'Q215627': 'person',
-      'Q11424': 'film',
-      'Q5398426': 'series',        // série TV
-      'Q571': 'book',
-      'Q7725634': 'book',          // œuvre littéraire
-      'Q8341': 'concept',          // genre musical
-      'Q7278': 'concept',          // parti politique
-      'Q515': 'place',             // ville
-      'Q486972': 'place',          // établissement humain
-      'Q7275': 'place',            // état
-      'Q8502': 'place',            // montagne
-      'Q4022': 'place',            // rivière
-      'Q35127': 'concept',         // site web
-      'Q28640': 'person',          // profession
-      'Q1644573': 'concept',       // concept scientifique
-      'Q11173': 'concept',         // composé chimique
-    };
-
-    return typeMap[instanceOf] || 'entity';
-  }
-
-  return 'entity';
+  return pickLocalized(entity.descriptions, lang);
 }
 
 /**
- * Change la langue de Wikipedia
+ * Change la langue de Wikipedia (mémorisée pour les prochaines visites)
  */
 export function setLanguage(lang) {
   CURRENT_LANG = lang;
+  localStorage.setItem(LANG_STORAGE_KEY, lang);
   console.log('🌍 Langue changée:', lang);
 }
 
@@ -725,7 +983,25 @@ export function getLanguage() {
  * @property {string} id - Wikidata ID (ex: "Q105858")
  * @property {string} name - Nom de l'entité
  * @property {string} description - Description courte
- * @property {string} type - Type: person|place|work|concept|entity
+ * @property {string} type - Type: person|group|musical_work|film|series|book|artwork|place|organisation|event|taxon|concept|entity
+ * @property {number} typeConfidence - Confiance de l'inférence du type (0 à 1)
  * @property {Object} identifiers - IDs externes (musicbrainz, tmdb, etc.)
  * @property {Object} sources - Données par source (wikipedia, wikidata, etc.)
+ * @property {Object} enrichment - Rapport par enricher { status, duration, reason?, error? }
+ */
+
+/**
+ * Type Candidate
+ * @typedef {Object} Candidate
+ * @property {string|null} title - Titre Wikipedia (après redirection), null sans article dans la langue courante
+ * @property {string} label - Nom à afficher (titre, sinon label Wikidata)
+ * @property {string} wikidataId - Wikidata ID
+ * @property {string} description - Description Wikidata dans la langue courante
+ * @property {string|null} thumbnail - Miniature de l'article
+ * @property {string} type - Type inféré (voir Entity.type)
+ * @property {number} typeConfidence - Confiance de l'inférence
+ * @property {number} sitelinks - Nombre de wikis ayant un article (popularité)
+ * @property {string|null} matchedAlias - Alias Wikidata qui correspond à la recherche
+ * @property {boolean} exact - Le titre, la redirection ou le label correspond exactement à la recherche
+ * @property {number} searchRank - Meilleure position dans les résultats d'opensearch / wbsearchentities
  */
@@ -0,0 +1,136 @@
+/**
+ * GEO
+ *
+ * Place l'entité courante et les nœuds du graphe sur une carte :
+ * coordonnées propres (P625) quand l'entité en a, sinon celles d'un lieu
+ * associé — localisation (P276), division administrative (P131),
+ * lieu de naissance (P19) ou de décès (P20).
+ * Seules les coordonnées terrestres sont retenues (pas la Lune ni Mars).
+ */
+
+import { getLanguage, fetchWikidataEntities } from './entityResolver.js';
+import { pickLocalized } from './languages.js';
+
+const EARTH = 'http://www.wikidata.org/entity/Q2';
+
+// Lieux associés, par ordre de préférence
+const PLACE_PROPERTIES = {
+  P276: 'localisation',
+  P131: 'situé dans',
+  P19: 'lieu de naissance',
+  P20: 'lieu de décès'
+};
+
+/**
+ * Coordonnées terrestres d'une entité (rang préféré, sinon la première normale)
+ * @returns {{lat: number, lon: number}|null}
+ */
+export function getCoordinates(claims = {}) {
+  const values = (claims.P625 || []).filter(claim => claim.rank !== 'deprecated');
+  const claim = values.find(c => c.rank === 'preferred') || values[0];
+  const value = claim?.mainsnak?.datavalue?.value;
+
+  if (!value || (value.globe && value.globe !== EARTH)) return null;
+  return { lat: value.latitude, lon: value.longitude };
+}
+
+/**
+ * Premier lieu associé à une entité
+ * @returns {{placeId: string, via: string}|null}
+ */
+function getRelatedPlace(claims = {}) {
+  for (const [property, via] of Object.entries(PLACE_PROPERTIES)) {
+    const values = (claims[property] || []).filter(claim => claim.rank !== 'deprecated');
+    const claim = values.find(c => c.rank === 'preferred') || values[0];
+    const placeId = claim?.mainsnak?.datavalue?.value?.id;
+    if (placeId) return { placeId, via };
+  }
+  return null;
+}
+
+/**
+ * Points de la carte et liens du graphe entre deux points placés
+ * @param {Graph} graph - Graphe affiché
+ * @param {Entity|null} entity - Entité centrale (ses claims sont déjà chargés)
+ * @param {AbortSignal} signal
+ * @returns {Promise<{points: Array<MapPoint>, edges: Array<{source: string, target: string, type: string, label: string}>}>}
+ */
+export async function locateGraph(graph, entity = null, signal) {
+  const nodes = graph.nodes.filter(node => node.id.startsWith('Q'));
+  const entities = await fetchWikidataEntities(
+    nodes.map(node => node.id).filter(id => id !== entity?.id),
+    'claims',
+    signal
+  );
+  const claimsById = Object.fromEntries(Object.entries(entities).map(([id, data]) => [id, data.claims || {}]));
+  if (entity) claimsById[entity.id] = entity.sources.wikidata?.claims || {};
+
+  // 1. Coordonnées propres, sinon lieu associé à résoudre
+  const located = new Map();
+  const pending = new Map();
+
+  for (const node of nodes) {
+    const claims = claimsById[node.id];
+    const coordinates = getCoordinates(claims);
+    if (coordinates) {
+      located.set(node.id, { ...coordinates, via: null, placeLabel: null });
+      continue;
+    }
+    const place = getRelatedPlace(claims);
+    if (place) pending.set(node.id, place);
+  }
+
+  // 2. Lieux associés (un lieu déjà dans le graphe n'est pas redemandé)
+  const placeIds = [...new Set([...pending.values()].map(place => place.placeId))];
+  const places = await fetchWikidataEntities(
+    placeIds.filter(id => !claimsById[id]),
+    'labels|claims',
+    signal
+  );
+  const lang = getLanguage();
+
+  for (const [id, { placeId, via }] of pending) {
+    const place = places[placeId];
+    const coordinates = getCoordinates(place?.claims || claimsById[placeId]);
+    if (!coordinates) continue;
+
+    const placeLabel = pickLocalized(place?.labels, lang)
+      || graph.nodes.find(node => node.id === placeId)?.label
+      || placeId;
+    located.set(id, { ...coordinates, via, placeLabel });
+  }
+
+  const points = nodes
+    .filter(node => located.has(node.id))
+    .map(node => ({
+      id: node.id,
+      label: node.label,
+      entityType: node.entityType || node.type,
+      isCenter: Boolean(node.isCenter),
+      ...located.get(node.id)
+    }));
+
+  const edges = graph.edges
+    .map(edge => ({
+      source: edge.source.id || edge.source,
+      target: edge.target.id || edge.target,
+      type: edge.type,
+      label: edge.label || edge.type
+    }))
+    .filter(edge => located.has(edge.source) && located.has(edge.target) && edge.source !== edge.target);
+
+  return { points, edges };
+}
+
+/**
+ * Type MapPoint
+ * @typedef {Object} MapPoint
+ * @property {string} id - Nœud à ouvrir au clic
+ * @property {string} label
+ * @property {string|null} entityType
+ * @property {boolean} isCenter
+ * @property {number} lat
+ * @property {number} lon
+ * @property {string|null} via - Propriété du lieu associé (null = coordonnées propres)
+ * @property {string|null} placeLabel - Nom du lieu associé
+ */
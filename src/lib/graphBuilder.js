@@ -8,99 +8,319 @@
 
 const SCORES = {
   STRUCTURAL: 3,  // Relations directes Wikidata (Œuvre, Genre, Parent)
+  INCOMING: 2.5,  // Claims d'autres éléments vers l'entité (SPARQL) : sûrs mais nombreux
   CONTEXTUAL: 2,  // Liens dans l'intro Wikipedia ou catégories fortes
   ASSOCIATIVE: 1  // Liens généraux dans le corps de l'article
 };
 
-const IMPORTANT_PROPERTIES = {
-  'P31': 'type',              // Instance de
-  'P106': 'occupation',       // Profession
-  'P800': 'notable_work',     // Œuvre notable
-  'P136': 'genre',            // Genre musical/littéraire
-  'P101': 'field_of_work',    // Domaine de travail
-  'P737': 'influenced_by',    // Influencé par
-  'P175': 'performer',        // Interprète
-  'P161': 'cast_member',      // Acteur
-  'P57': 'director',          // Réalisateur
-  'P279': 'subclass_of',      // Sous-classe de
+// Score de base d'un lien Wikipedia par section (voir wikipediaLinks.js)
+const LINK_SECTION_SCORES = {
+  lead: SCORES.CONTEXTUAL,
+  infobox: SCORES.CONTEXTUAL,
+  body: SCORES.ASSOCIATIVE,
+  see_also: SCORES.ASSOCIATIVE,
+  navbox: 0
 };
 
-import { resolveEntity } from './entityResolver.js';
+// Œuvres et albums MusicBrainz gardés comme voisins (la discographie complète reste sur la fiche)
+const MAX_MUSICBRAINZ_ITEMS = 10;
+
+import { resolveEntityFromCandidate, resolveEntityFromTitle, getWikidataIdsForTitles, getLanguage } from './entityResolver.js';
+import { getCachedGraph, cacheGraph, graphKey } from './db.js';
+import { fetchJSON, isAbortError } from './httpClient.js';
+import { getLinkNoiseRules, isLinkNoise } from './linkNoise.js';
+import { pickLocalized } from './languages.js';
+import { inferEntityType } from './typeInference.js';
+import { getPropertyProfile, getRelationKey, fetchPropertyLabels, QUALIFIER_KEYS } from './propertyProfiles.js';
+import { fetchIncomingRelations, incomingRelationsCacheKey } from './incomingRelations.js';
 
 /**
  * Construit un graphe de connaissances depuis une entité centrale
+ * Parcours BFS niveau par niveau : les voisins d'un niveau sont résolus
+ * (concurrence bornée) pour être explorés au niveau suivant.
  * @param {Entity} centerEntity - Entité centrale du graphe
  * @param {number} depth - Profondeur du graphe (1 ou 2 max recommandé)
- * @param {number} maxNodesPerLevel - Limite de nœuds par niveau (défaut 20)
+ * @param {number} maxNodesPerLevel - Limite de nouveaux nœuds par niveau (défaut 20)
+ * @param {Object} options
+ * @param {boolean} options.forceRefresh - Ignorer le cache IndexedDB
+ * @param {Function} options.onProgress - Reçoit (graphePartiel, { level, depth, phase }) à chaque étape
+ * @param {number} options.concurrency - Nombre de résolutions simultanées (défaut 5)
+ * @param {AbortSignal} options.signal - Annule la construction (et les résolutions de voisins)
  * @returns {Promise<Graph>} Graphe {nodes, edges}
  */
-export async function buildGraph(centerEntity, depth = 1, maxNodesPerLevel = 20) {
+export async function buildGraph(centerEntity, depth = 1, maxNodesPerLevel = 20, options = {}) {
+  const { forceRefresh = false, onProgress = null, concurrency = 5, signal } = options;
+  const lang = getLanguage();
+  const cacheKey = graphKey(centerEntity.id, lang, depth, maxNodesPerLevel, incomingRelationsCacheKey());
+
+  if (!forceRefresh) {
+    const cached = await getCachedGraph(cacheKey);
+    signal?.throwIfAborted();
+    if (cached) {
+      console.log(`💾 Graphe ${centerEntity.id} servi depuis le cache`);
+      return cached;
+    }
+  }
+
   const graph = {
     nodes: [],
     edges: []
   };
 
+  // Filtres de liens propres au wiki de la langue courante
+  const noiseRules = await getLinkNoiseRules(lang, signal);
+
   // Map pour éviter les doublons
   const visited = new Set();
-  const nodeMap = new Map();
+  const edgeKeys = new Map(); // clé non orientée → edge
 
   // Ajouter le nœud central
-  const centerNode = createNode(centerEntity, 0, true);
-  graph.nodes.push(centerNode);
-  nodeMap.set(centerEntity.id, centerNode);
+  graph.nodes.push(createNode(centerEntity, 0, true));
   visited.add(centerEntity.id);
 
-  // Queue pour BFS (Breadth-First Search)
-  const queue = [{ entity: centerEntity, level: 0 }];
-
-  while (queue.length > 0) {
-    const { entity, level } = queue.shift();
-    if (level >= depth) continue;
+  // On émet une copie des tableaux pour que Svelte détecte le changement,
+  // mais avec les mêmes objets nœuds (D3 y conserve les positions)
+  const emit = (level, phase) => {
+    if (onProgress) {
+      onProgress({ nodes: [...graph.nodes], edges: [...graph.edges] }, { level, depth, phase });
+    }
+  };
 
-    const connectedEntities = extractConnectedEntities(entity);
-    const limitedEntities = connectedEntities.filter(e => e.score >= 2).slice(0, maxNodesPerLevel);
+  emit(0, 'center');
 
-    for (const connected of limitedEntities) {
-      const { id, label, type, source, score } = connected; // 'source' ici est "wikidata" ou "wikipedia"
+  // Frontière du BFS : nœuds du niveau courant dont on connaît l'entité complète
+  let frontier = [{ nodeId: centerEntity.id, entity: centerEntity }];
 
-      if (visited.has(id)) {
-        // ON CHANGE : on passe 'source' sous le nom 'origin'
-        addEdge(graph, entity.id, id, type, source, score); 
-        continue;
-      }
+  for (let level = 0; level < depth && frontier.length > 0; level++) {
+    const newNodes = [];
 
-      visited.add(id);
-      const node = { id, label, type, level: level + 1, score };
-      graph.nodes.push(node);
-      nodeMap.set(id, node);
+    const neighbourhoods = frontier.map(({ entity }) =>
+      extractConnectedEntities(entity, noiseRules).filter(e => e.score >= 2)
+    );
 
-      // ON CHANGE : on passe 'source' sous le nom 'origin'
-      addEdge(graph, entity.id, id, type, source, score);
+    // Relations entrantes (SPARQL, optionnelles) : pour le centre seulement,
+    // chaque propriété entrante coûtant une requête au service
+    if (level === 0) {
+      neighbourhoods[0].push(...await fetchIncomingRelations(centerEntity, lang, SCORES.INCOMING, signal));
     }
-  }
-    // --- NOUVEAU : Traduction des QIDs ---
-  const qidsToTranslate = graph.nodes
-    .filter(node => node.id.startsWith('Q'))
-    .map(node => node.id);
-
-  // À la fin de buildGraph dans graphBuilder.js
-  if (qidsToTranslate.length > 0) {
-    const metaMap = await fetchEntityMetadata(qidsToTranslate);
-    graph.nodes.forEach(node => {
-      if (metaMap[node.id]) {
-        node.label = metaMap[node.id].label;
-        // On n'écrase l'image que si le nœud n'en a pas déjà (le centre en a déjà une)
-        if (!node.thumbnail) {
-          node.thumbnail = metaMap[node.id].imageUrl;
+
+    // Éléments Wikidata des liens de tout le niveau en une passe (lots de 50)
+    await prefetchLinkItems(neighbourhoods.flat(), signal);
+
+    for (const [index, { nodeId, entity }] of frontier.entries()) {
+      const connectedEntities = await unifyConnectedEntities(neighbourhoods[index], signal);
+
+      for (const connected of connectedEntities) {
+        const { id, label, type, score } = connected;
+
+        if (id === nodeId || id === entity.id) continue;
+
+        if (visited.has(id)) {
+          addEdge(graph, edgeKeys, nodeId, id, connected);
+          continue;
         }
+
+        // Quota de nouveaux nœuds atteint pour ce niveau
+        if (newNodes.length >= maxNodesPerLevel) continue;
+
+        visited.add(id);
+        const node = { id, label, type, level: level + 1, score };
+        graph.nodes.push(node);
+        newNodes.push(node);
+
+        addEdge(graph, edgeKeys, nodeId, id, connected);
       }
-    });
+
+      emit(level + 1, 'expand');
+    }
+
+    // Traduction des QIDs du niveau (labels + images, rôles, propriétés) avant de l'afficher
+    await translateGraph(newNodes, graph.edges.filter(edge => !edge.label), signal);
+    signal?.throwIfAborted();
+    emit(level + 1, 'labels');
+
+    // Dernier niveau : inutile de résoudre les feuilles
+    if (level + 1 >= depth) break;
+
+    frontier = [];
+    await resolveConnectedEntities(
+      newNodes.map(node => node.id),
+      concurrency,
+      (nodeId, entity) => {
+        frontier.push({ nodeId, entity });
+        emit(level + 1, 'resolve');
+      },
+      signal
+    );
+    signal?.throwIfAborted();
   }
 
   console.log(`Graph built: ${graph.nodes.length} nodes, ${graph.edges.length} edges`);
+  await cacheGraph(cacheKey, centerEntity.id, graph);
   return graph;
 }
 
+/**
+ * Déploie un nœud dans le graphe existant : ses voisins sont ajoutés
+ * (sans doublon, un voisin déjà présent ne reçoit qu'un edge) à côté
+ * des nœuds en place, dont les objets sont conservés (positions D3).
+ * @param {Graph} graph - Graphe affiché
+ * @param {string} nodeId - Nœud à déployer (QID ou wiki:Titre)
+ * @param {Object} options
+ * @param {number} options.maxNodes - Nouveaux nœuds max (défaut 20)
+ * @param {AbortSignal} options.signal
+ * @returns {Promise<{graph: Graph, added: {nodes: Array<Node>, edges: Array<Edge>}}>}
+ *   Nouveau graphe (nouveaux tableaux, mêmes objets) et éléments ajoutés
+ */
+export async function expandNode(graph, nodeId, options = {}) {
+  const { maxNodes = 20, signal } = options;
+
+  const parent = graph.nodes.find(node => node.id === nodeId);
+  if (!parent) throw new Error(`Nœud ${nodeId} absent du graphe`);
+
+  const entity = await resolveNodeId(nodeId, { signal });
+  const noiseRules = await getLinkNoiseRules(getLanguage(), signal);
+  const connected = await unifyConnectedEntities(
+    [
+      ...extractConnectedEntities(entity, noiseRules).filter(e => e.score >= 2),
+      ...await fetchIncomingRelations(entity, getLanguage(), SCORES.INCOMING, signal)
+    ],
+    signal
+  );
+  signal?.throwIfAborted();
+
+  const merged = { nodes: [...graph.nodes], edges: [...graph.edges] };
+  const known = new Set(merged.nodes.map(node => node.id));
+  const edgeKeys = new Map(merged.edges.map(edge => [
+    [edge.source.id || edge.source, edge.target.id || edge.target].sort().join('|'),
+    edge
+  ]));
+  const added = { nodes: [], edges: [] };
+
+  for (const relation of connected) {
+    const { id, label, type, score } = relation;
+    if (id === nodeId || id === entity.id) continue;
+
+    if (!known.has(id)) {
+      if (added.nodes.length >= maxNodes) continue;
+
+      // expandedFrom : permet de replier le déploiement (collapseNode)
+      const node = { id, label, type, level: parent.level + 1, score, expandedFrom: nodeId };
+      known.add(id);
+      merged.nodes.push(node);
+      added.nodes.push(node);
+    }
+
+    const edge = addEdge(merged, edgeKeys, nodeId, id, relation, nodeId);
+    if (edge) added.edges.push(edge);
+  }
+
+  // Nouveaux edges, et ceux dont la relation principale a changé à la fusion
+  await translateGraph(added.nodes, merged.edges.filter(edge => !edge.label), signal);
+  signal?.throwIfAborted();
+
+  parent.expanded = true;
+  console.log(`➕ ${parent.label} déployé : ${added.nodes.length} nœuds, ${added.edges.length} edges`);
+  return { graph: merged, added };
+}
+
+/**
+ * Replie un nœud déployé : retire les nœuds et edges que son déploiement
+ * a ajoutés, et ceux des déploiements faits depuis ces nœuds. Les relations
+ * qu'il a fusionnées dans des edges restants en sont retirées (un edge dont
+ * la relation principale change reprend son sens et son libellé d'alors).
+ * @param {Graph} graph
+ * @param {string} nodeId
+ * @returns {Graph} Nouveau graphe (mêmes objets pour ce qui reste)
+ */
+export function collapseNode(graph, nodeId) {
+  const removed = new Set();
+  const queue = [nodeId];
+
+  while (queue.length > 0) {
+    const from = queue.shift();
+    for (const node of graph.nodes) {
+      if (node.expandedFrom === from && !removed.has(node.id)) {
+        removed.add(node.id);
+        queue.push(node.id);
+      }
+    }
+  }
+
+  const collapsed = {
+    nodes: graph.nodes.filter(node => !removed.has(node.id)),
+    edges: graph.edges.filter(edge =>
+      !removed.has(edge.source.id || edge.source)
+      && !removed.has(edge.target.id || edge.target)
+      && edge.expandedFrom !== nodeId
+    )
+  };
+
+  for (const edge of collapsed.edges) {
+    if (edge.relations?.some(entry => entry.expandedFrom === nodeId)) {
+      setRelations(edge, edge.relations.filter(entry => entry.expandedFrom !== nodeId));
+    }
+  }
+
+  const parent = graph.nodes.find(node => node.id === nodeId);
+  if (parent) parent.expanded = false;
+
+  return collapsed;
+}
+
+/**
+ * Traduit des nœuds et edges dans la langue courante :
+ * labels et images des QIDs, rôles en qualificatifs, libellés des propriétés
+ */
+export async function translateGraph(nodes, edges, signal) {
+  await Promise.all([
+    applyEntityMetadata(nodes, edges, signal),
+    applyPropertyLabels(edges, getLanguage(), signal)
+  ]);
+}
+
+/**
+ * Remplace les QIDs bruts par les labels et images Wikidata
+ * (nœuds, et rôles portés en qualificatifs par les edges)
+ * et ajoute aux nœuds leur type d'entité (couleur et forme dans NeuralGraph)
+ */
+async function applyEntityMetadata(nodes, edges, signal) {
+  const roles = edges.flatMap(edge => edge.qualifiers?.role || []);
+  const qidsToTranslate = [...new Set([
+    ...nodes.filter(node => node.id.startsWith('Q')).map(node => node.id),
+    ...roles.map(role => role.id)
+  ])];
+
+  if (qidsToTranslate.length === 0) return;
+
+  const metaMap = await fetchEntityMetadata(qidsToTranslate, signal);
+  roles.forEach(role => {
+    if (metaMap[role.id]) role.label = metaMap[role.id].label;
+  });
+  nodes.forEach(node => {
+    if (metaMap[node.id]) {
+      node.label = metaMap[node.id].label;
+      node.entityType = metaMap[node.id].entityType;
+      // On n'écrase l'image que si le nœud n'en a pas déjà (le centre en a déjà une)
+      if (!node.thumbnail) {
+        node.thumbnail = metaMap[node.id].imageUrl;
+      }
+    }
+  });
+}
+
+/**
+ * Libellé des edges : nom de la propriété Wikidata dans la langue courante
+ */
+async function applyPropertyLabels(edges, lang, signal) {
+  const properties = [...new Set(edges.map(edge => edge.property).filter(Boolean))];
+  const labels = await fetchPropertyLabels(properties, lang, signal);
+
+  edges.forEach(edge => {
+    edge.label = edge.property ? labels[edge.property] : edge.type;
+  });
+}
+
 /**
  * Crée un objet node pour le graphe
  */
@@ -109,175 +329,463 @@ function createNode(entity, level, isCenter = false) {
     id: entity.id,
     label: entity.name,
     type: entity.type,
+    entityType: entity.type,
     level,
     isCenter,
     description: entity.description,
-    thumbnail: entity.sources.wikipedia?.thumbnail
+    // Sans article dans la langue courante : image Wikidata (P18)
+    thumbnail: entity.sources.wikipedia?.thumbnail || getImageThumbnail(entity.sources.wikidata?.claims)
   };
 }
 
 /**
- * Ajoute un edge au graphe
+ * Miniature Wikimedia Commons de l'image principale (P18) d'une entité
+ */
+function getImageThumbnail(claims) {
+  const p18 = claims?.P18?.[0]?.mainsnak?.datavalue?.value;
+  if (!p18) return null;
+  // Formatage de l'URL pour obtenir une miniature de Wikimedia Commons
+  return `https://commons.wikimedia.org/wiki/Special:FilePath/${encodeURIComponent(p18)}?width=100`;
+}
+
+/**
+ * Ajoute un edge au graphe et le retourne. S'il existe déjà (dans un sens ou l'autre),
+ * les deux relations sont fusionnées : le meilleur score l'emporte (sens compris),
+ * origines et types sont cumulés. Une relation entrante part du voisin.
+ * @param {Object} relation - Relation de unifyConnectedEntities
+ * @param {string|null} expandedFrom - Nœud déployé qui apporte la relation (expandNode)
+ * @returns {Edge|null} null si la relation a été fusionnée dans un edge existant
  */
-function addEdge(graph, fromId, toId, type, origin, score) {
-  graph.edges.push({
+function addEdge(graph, edgeKeys, fromId, toId, relation, expandedFrom = null) {
+  if (relation.direction === 'incoming') [fromId, toId] = [toId, fromId];
+
+  const key = [fromId, toId].sort().join('|');
+  const existing = edgeKeys.get(key);
+
+  if (existing) {
+    // Relations gardées une à une : collapseNode retire exactement celles d'un déploiement
+    setRelations(existing, [
+      ...existing.relations || [relationEntry(existing)],
+      {
+        source: fromId,
+        target: toId,
+        type: relation.type,
+        origin: relation.source,
+        value: relation.score,
+        property: relation.property || null,
+        rank: relation.rank || null,
+        qualifiers: relation.qualifiers || null,
+        origins: relation.origins || [relation.source],
+        types: relation.types || [relation.type],
+        expandedFrom
+      }
+    ]);
+    return null;
+  }
+
+  const edge = {
     source: fromId, // D3 attend 'source' pour l'ID de départ
     target: toId,   // D3 attend 'target' pour l'ID d'arrivée
-    type: type,
-    origin: origin, // On renomme la source de donnée en 'origin' pour éviter le conflit
-    value: score
-  });
+    type: relation.type,
+    origin: relation.source, // On renomme la source de donnée en 'origin' pour éviter le conflit
+    value: relation.score,
+    property: relation.property || null,
+    rank: relation.rank || null,
+    qualifiers: relation.qualifiers || null,
+    origins: relation.origins || [relation.source],
+    types: relation.types || [relation.type]
+  };
+  if (expandedFrom) edge.expandedFrom = expandedFrom;
+  edgeKeys.set(key, edge);
+  graph.edges.push(edge);
+  return edge;
+}
+
+/**
+ * Relation d'un edge qui n'en porte encore qu'une (avant sa première fusion)
+ */
+function relationEntry(edge) {
+  const { source, target, type, origin, value, property, rank, qualifiers, origins, types, label, expandedFrom } = edge;
+  return {
+    source: source.id || source,
+    target: target.id || target,
+    type, origin, value, property, rank, qualifiers, origins, types, label,
+    expandedFrom: expandedFrom || null
+  };
 }
 
-function extractConnectedEntities(entity) {
+/**
+ * Remplace les relations fusionnées d'un edge et en déduit ses champs :
+ * la relation principale (meilleur score, la plus ancienne à égalité)
+ * donne sens, type, propriété... et reste en tête des origines et types
+ */
+function setRelations(edge, relations) {
+  const previous = edge.relations?.[0];
+  // Tri stable : à score égal, l'ordre d'arrivée est conservé
+  edge.relations = [...relations].sort((a, b) => b.value - a.value);
+  const [main] = edge.relations;
+
+  if (main !== previous) {
+    if (previous) previous.label = edge.label;
+    // Source et target sont les nœuds eux-mêmes une fois la simulation D3 lancée
+    if ((edge.source.id || edge.source) !== main.source) [edge.source, edge.target] = [edge.target, edge.source];
+    Object.assign(edge, {
+      type: main.type,
+      origin: main.origin,
+      value: main.value,
+      property: main.property,
+      rank: main.rank,
+      qualifiers: main.qualifiers,
+      label: main.label // Libellé connu, ou à retraduire (undefined)
+    });
+  }
+
+  edge.origins = union([main.origin], ...edge.relations.map(entry => entry.origins));
+  edge.types = union([main.type], ...edge.relations.map(entry => entry.types));
+}
+
+function union(...lists) {
+  return [...new Set(lists.flat())];
+}
+
+/**
+ * Charge en une passe les éléments Wikidata des liens wiki:Titre
+ * (les appels suivants à unifyConnectedEntities sont servis par le cache)
+ */
+export async function prefetchLinkItems(connected, signal) {
+  const titles = connected
+    .filter(relation => relation.id.startsWith('wiki:'))
+    .map(relation => relation.id.slice('wiki:'.length));
+  if (titles.length === 0) return;
+
+  try {
+    await getWikidataIdsForTitles(titles, signal);
+  } catch (error) {
+    signal?.throwIfAborted();
+    console.warn('Éléments Wikidata des liens indisponibles:', error.message);
+  }
+}
+
+/**
+ * Remplace les liens wiki:Titre par le QID de leur article et fusionne
+ * les doublons ainsi créés (un même élément cité par Wikidata et Wikipedia) :
+ * la relation de meilleur score reste principale, les autres ajoutent
+ * leurs origines et types. Les articles sans élément gardent leur ID wiki:.
+ * @param {Array<Object>} connected - Résultat d'extractConnectedEntities
+ * @param {AbortSignal} signal
+ * @returns {Promise<Array<Object>>} Relations avec origins et types, triées comme en entrée
+ */
+export async function unifyConnectedEntities(connected, signal) {
+  const titles = connected
+    .filter(relation => relation.id.startsWith('wiki:'))
+    .map(relation => relation.id.slice('wiki:'.length));
+
+  let items = new Map();
+  if (titles.length > 0) {
+    try {
+      items = await getWikidataIdsForTitles(titles, signal);
+    } catch (error) {
+      signal?.throwIfAborted();
+      console.warn('Éléments Wikidata des liens indisponibles:', error.message);
+    }
+  }
+
+  const merged = new Map();
+
+  for (const relation of connected) {
+    const id = relation.id.startsWith('wiki:')
+      ? items.get(relation.id.slice('wiki:'.length)) || relation.id
+      : relation.id;
+    const existing = merged.get(id);
+
+    if (!existing) {
+      merged.set(id, { ...relation, id, origins: [relation.source], types: [relation.type] });
+      continue;
+    }
+
+    // Le titre de l'article est plus lisible qu'un QID en attendant la traduction
+    const label = existing.label === existing.id ? relation.label : existing.label;
+
+    if (relation.score > existing.score) {
+      merged.set(id, {
+        ...existing, ...relation, id, label,
+        origins: union([relation.source], existing.origins),
+        types: union([relation.type], existing.types)
+      });
+    } else {
+      Object.assign(existing, {
+        label,
+        origins: union(existing.origins, [relation.source]),
+        types: union(existing.types, [relation.type])
+      });
+      if (relation.section && !existing.section) Object.assign(existing, { section: relation.section, count: relation.count });
+    }
+  }
+
+  return Array.from(merged.values())
+    .sort((a, b) => b.score - a.score || (b.count || 0) - (a.count || 0));
+}
+
+/**
+ * Voisinage d'une entité : relations Wikidata du profil de son type,
+ * crédits TMDB, relations MusicBrainz puis liens Wikipedia (hors bruit),
+ * triés par score décroissant
+ * @param {Entity} entity - Entité résolue
+ * @param {LinkNoiseRules} noiseRules - Règles de getLinkNoiseRules()
+ * @returns {Array<Object>} { id, label, type, score, source, property?, rank?, qualifiers?, direction?, section?, count? }
+ */
+export function extractConnectedEntities(entity, noiseRules) {
   const connectedMap = new Map(); // Utilise une Map pour éviter les doublons et gérer les scores
 
   // --- 1. EXTRACTION WIKIDATA (Score 3 - Haute pertinence) ---
+  // Propriétés suivies selon le profil du type de l'entité
   if (entity.sources.wikidata?.claims) {
     const claims = entity.sources.wikidata.claims;
     
-    for (const [prop, relationType] of Object.entries(IMPORTANT_PROPERTIES)) {
-      if (claims[prop]) {
-        claims[prop].forEach(claim => {
-          const value = claim.mainsnak.datavalue?.value;
-          if (value && value.id) {
-            connectedMap.set(value.id, {
-              id: value.id,
-              label: value.id, // On résoudra le label plus tard ou on utilisera le titre wiki
-              type: relationType,
-              score: SCORES.STRUCTURAL,
-              source: 'wikidata'
-            });
-          }
+    for (const prop of getPropertyProfile(entity.type)) {
+      for (const claim of getBestRankClaims(claims[prop])) {
+        const value = claim.mainsnak.datavalue?.value;
+
+        // Une cible déjà reliée garde la propriété la plus prioritaire du profil
+        if (!value?.id || connectedMap.has(value.id)) continue;
+
+        connectedMap.set(value.id, {
+          id: value.id,
+          label: value.id, // On résoudra le label plus tard ou on utilisera le titre wiki
+          type: getRelationKey(prop),
+          score: SCORES.STRUCTURAL,
+          source: 'wikidata',
+          property: prop,
+          rank: claim.rank,
+          qualifiers: extractQualifiers(claim)
         });
       }
     }
   }
 
-  // --- 2. EXTRACTION WIKIPEDIA (Score 1 ou 2) ---
+  // --- 2. CRÉDITS TMDB (Score 2 - distribution et équipe reliées à Wikidata) ---
+  // Une personne déjà reliée par Wikidata (P161, P57...) garde sa relation Wikidata
+  for (const credit of entity.sources.tmdb?.credits || []) {
+    if (!credit.qid || credit.qid === entity.id || connectedMap.has(credit.qid)) continue;
+
+    connectedMap.set(credit.qid, {
+      id: credit.qid,
+      label: credit.name,
+      type: getRelationKey(credit.property),
+      score: SCORES.CONTEXTUAL,
+      source: 'tmdb',
+      property: credit.property,
+      direction: credit.direction
+    });
+  }
+
+  // --- 3. MUSICBRAINZ (Score 2 - artistes liés, œuvres et albums reliés à Wikidata) ---
+  // Les œuvres et albums pointent vers l'artiste (selon son rôle, interprète)
+  const musicbrainz = entity.sources.musicbrainz;
+  const mbRelations = [
+    ...(musicbrainz?.relations || []),
+    ...(musicbrainz?.works || []).filter(work => work.role).slice(0, MAX_MUSICBRAINZ_ITEMS)
+      .map(work => ({ qid: work.qid, name: work.title, property: work.property, type: work.relationType, direction: 'incoming' })),
+    ...(musicbrainz?.releaseGroups || [])
+      .filter(group => group.primaryType === 'Album' && !group.secondaryTypes?.length)
+      .slice(0, MAX_MUSICBRAINZ_ITEMS)
+      .map(group => ({ qid: group.qid, name: group.title, property: 'P175', direction: 'incoming' }))
+  ];
+
+  for (const relation of mbRelations) {
+    if (!relation.qid || relation.qid === entity.id || connectedMap.has(relation.qid)) continue;
+
+    connectedMap.set(relation.qid, {
+      id: relation.qid,
+      label: relation.name,
+      type: relation.type || getRelationKey(relation.property),
+      score: SCORES.CONTEXTUAL,
+      source: 'musicbrainz',
+      property: relation.property,
+      qualifiers: relation.qualifiers,
+      direction: relation.direction
+    });
+  }
+
+  // --- 4. EXTRACTION WIKIPEDIA (Score 0 à 2 selon la section) ---
   if (entity.sources.wikipedia?.links) {
-    const links = entity.sources.wikipedia.links;
-    
-    links.forEach((linkTitle, index) => {
+    for (const link of entity.sources.wikipedia.links) {
+      // Cache antérieur : simples titres, sans section connue
+      const { title, section, count, listOnly } = typeof link === 'string'
+        ? { title: link, section: 'body', count: 1, listOnly: false }
+        : link;
+
       // Filtrer les bruits (années, dates, méta)
-      if (isLinkNoise(linkTitle)) return;
+      if (isLinkNoise(title, noiseRules)) continue;
 
-      const id = `wiki:${linkTitle}`;
+      const id = `wiki:${title}`;
       
       // Si le lien existe déjà via Wikidata, on ne change pas son score (déjà à 3)
-      if (connectedMap.has(id)) return;
-
-      // On donne un score de 2 aux 10 premiers liens (souvent dans l'introduction)
-      // Et un score de 1 aux suivants (corps de texte)
-      const score = (index < 10) ? SCORES.CONTEXTUAL : SCORES.ASSOCIATIVE;
+      if (connectedMap.has(id)) continue;
 
       connectedMap.set(id, {
         id: id,
-        label: linkTitle,
+        label: title,
         type: 'related',
-        score: score,
-        source: 'wikipedia'
+        score: scoreArticleLink(section, count, listOnly),
+        source: 'wikipedia',
+        section,
+        count
       });
-    });
+    }
   }
 
   // Convertir la Map en tableau et trier par score décroissant
+  // (à score égal, les liens les plus cités d'abord, puis l'ordre de l'article)
   return Array.from(connectedMap.values())
-    .sort((a, b) => b.score - a.score);
+    .sort((a, b) => b.score - a.score || (b.count || 0) - (a.count || 0));
 }
 
 /**
- * Filtre pour éliminer les liens Wikipedia non pertinents (dates, siècles, etc.)
+ * Score d'un lien Wikipedia selon la section où il apparaît
+ * Introduction et infobox résument le sujet (CONTEXTUAL) ; un lien du corps
+ * cité souvent le devient aussi. Les navbox et les listes du corps
+ * (discographies, palmarès) sont du remplissage : pénalisés.
  */
-function isLinkNoise(title) {
-  // Années (ex: "1959", "19e siècle")
-  if (/^\d+$/.test(title)) return true;
-  if (title.includes('siècle')) return true;
-  
-  // Pages techniques
-  const technical = [
-    'Aide:', 'Modèle:', 'Wikipédia:', 'Portail:', 'Catégorie:', 
-    'Fichier:', 'Projet:', 'Discussion:', 'Spécial:', 'Liste de'
-  ];
-  if (technical.some(p => title.startsWith(p))) return true;
-
-  // Mois de l'année
-  const months = ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'];
-  if (months.some(m => title.toLowerCase().includes(m))) return true;
+function scoreArticleLink(section, count, listOnly) {
+  let score = LINK_SECTION_SCORES[section] ?? SCORES.ASSOCIATIVE;
+  if (section === 'body' && count >= 3) score++;
+  if (listOnly) score--;
+  return Math.max(0, Math.min(score, SCORES.CONTEXTUAL));
+}
 
-  return false;
+/**
+ * Claims "truthy" d'une propriété : les préférées s'il y en a,
+ * sinon les normales (les dépréciées ne sont jamais suivies)
+ */
+function getBestRankClaims(claims = []) {
+  const preferred = claims.filter(claim => claim.rank === 'preferred');
+  if (preferred.length > 0) return preferred;
+  return claims.filter(claim => claim.rank !== 'deprecated');
 }
 
 /**
- * Fonction helper pour résoudre plusieurs entités en parallèle
- * (à utiliser si on veut enrichir les nœuds connectés)
+ * Qualificatifs utiles d'un claim : dates (valeur brute Wikidata
+ * { time, precision }) et rôles ({ id, label } complété plus tard)
  */
-export async function resolveConnectedEntities(entityIds, maxConcurrent = 5) {
-  const results = [];
-  
-  // Traiter par batch pour éviter de surcharger les APIs
-  for (let i = 0; i < entityIds.length; i += maxConcurrent) {
-    const batch = entityIds.slice(i, i + maxConcurrent);
-    
-    const batchResults = await Promise.allSettled(
-      batch.map(id => resolveEntity(id))
-    );
+function extractQualifiers(claim) {
+  if (!claim.qualifiers) return null;
 
-    results.push(
-      ...batchResults
-        .filter(r => r.status === 'fulfilled')
-        .map(r => r.value)
-    );
+  const qualifiers = {};
+
+  for (const [prop, key] of Object.entries(QUALIFIER_KEYS)) {
+    for (const snak of claim.qualifiers[prop] || []) {
+      const value = snak.datavalue?.value;
+      if (!value) continue;
 
-    // Pause entre batch pour respecter rate limits
-    await new Promise(resolve => setTimeout(resolve, 1000));
+      if (key === 'role') {
+        if (value.id) (qualifiers.role ||= []).push({ id: value.id, label: value.id });
+      } else if (value.time && !qualifiers[key]) {
+        qualifiers[key] = { time: value.time, precision: value.precision };
+      }
+    }
   }
 
-  return results;
+  return Object.keys(qualifiers).length > 0 ? qualifiers : null;
+}
+
+/**
+ * Résout plusieurs nœuds du graphe avec une concurrence bornée
+ * Accepte des QIDs ("Q105858") ou des IDs de lien ("wiki:Jazz")
+ * @param {Array<string>} entityIds - IDs des nœuds à résoudre
+ * @param {number} maxConcurrent - Nombre de résolutions simultanées
+ * @param {Function} onResolved - Appelé avec (id, entité) dès qu'un nœud est résolu
+ * @param {AbortSignal} signal - Arrête les workers et annule les résolutions en cours
+ * @param {Object} resolveOptions - Options de résolution ({ enrichers } : sélection d'enrichers)
+ * @returns {Promise<Array<Entity>>} Entités résolues (les échecs sont ignorés)
+ */
+export async function resolveConnectedEntities(entityIds, maxConcurrent = 5, onResolved = null, signal = null, resolveOptions = {}) {
+  const results = new Array(entityIds.length);
+  let cursor = 0;
+
+  // Pool de workers : chacun prend l'ID suivant dès qu'il a fini le précédent
+  async function worker() {
+    while (cursor < entityIds.length && !signal?.aborted) {
+      const index = cursor++;
+      const id = entityIds[index];
+
+      try {
+        const entity = await resolveNodeId(id, { ...resolveOptions, signal });
+        results[index] = entity;
+        if (onResolved && !signal?.aborted) onResolved(id, entity);
+      } catch (error) {
+        if (signal?.aborted) return;
+        console.warn(`Résolution du nœud ${id} échouée:`, error.message);
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(maxConcurrent, entityIds.length) }, worker);
+  await Promise.all(workers);
+
+  return results.filter(Boolean);
+}
+
+/**
+ * Résout un ID de nœud : par QID directement, ou par titre exact pour wiki:Titre
+ */
+function resolveNodeId(id, options) {
+  if (id.startsWith('wiki:')) {
+    return resolveEntityFromTitle(id.slice('wiki:'.length), options);
+  }
+  return resolveEntityFromCandidate(null, id, options);
 }
 
 /**
  * Récupère les noms et images pour une liste d'IDs Wikidata
  */
-async function fetchEntityMetadata(ids) {
+async function fetchEntityMetadata(ids, signal) {
   if (ids.length === 0) return {};
+
+  // wbgetentities accepte 50 IDs maximum par requête
+  if (ids.length > 50) {
+    const chunks = [];
+    for (let i = 0; i < ids.length; i += 50) {
+      chunks.push(ids.slice(i, i + 50));
+    }
+    const results = await Promise.all(chunks.map(chunk => fetchEntityMetadata(chunk, signal)));
+    return Object.assign({}, ...results);
+  }
   
-  const lang = 'fr';
+  const lang = getLanguage();
   const params = new URLSearchParams({
     action: 'wbgetentities',
     ids: ids.join('|'),
     props: 'labels|claims', // On demande les labels ET les claims (pour l'image P18)
-    languages: lang,
+    // Pas de filtre 'languages' : il faut toutes les langues pour la chaîne de repli
     format: 'json',
     origin: '*'
   });
 
   try {
-    const response = await fetch(`https://www.wikidata.org/w/api.php?${params}`);
-    const data = await response.json();
+    const data = await fetchJSON(`https://www.wikidata.org/w/api.php?${params}`, { signal });
     const metadata = {};
     
     if (data.entities) {
-      for (const id of ids) {
+      await Promise.all(ids.map(async id => {
         const entity = data.entities[id];
+        if (!entity || entity.missing !== undefined) return;
         
         // 1. Récupérer le label
-        const label = entity.labels?.[lang]?.value || id;
+        const label = pickLocalized(entity.labels, lang) || id;
         
         // 2. Récupérer l'image (P18)
-        let imageUrl = null;
-        const p18 = entity.claims?.P18?.[0]?.mainsnak?.datavalue?.value;
-        if (p18) {
-          // Formatage de l'URL pour obtenir une miniature de Wikimedia Commons
-          imageUrl = `https://commons.wikimedia.org/wiki/Special:FilePath/${encodeURIComponent(p18)}?width=100`;
-        }
+        const imageUrl = getImageThumbnail(entity.claims);
 
-        metadata[id] = { label, imageUrl };
-      }
+        // 3. Type d'entité (hiérarchie P31/P279, partagée en cache entre nœuds)
+        const { type: entityType } = await inferEntityType(entity, signal);
+
+        metadata[id] = { label, imageUrl, entityType };
+      }));
     }
     return metadata;
   } catch (e) {
-    console.error("Erreur métadonnées:", e);
+    if (!isAbortError(e)) console.error("Erreur métadonnées:", e);
     return {};
   }
 }
@@ -294,16 +802,28 @@ async function fetchEntityMetadata(ids) {
  * @typedef {Object} Node
  * @property {string} id - ID unique (Wikidata ID ou wiki:title)
  * @property {string} label - Label à afficher
- * @property {string} type - Type de nœud (person, article, etc.)
+ * @property {string} type - Type de l'entité centrale, ou relation qui a amené le nœud
+ * @property {string} entityType - Type d'entité inféré (person, place... ou entity)
  * @property {number} level - Niveau dans le graphe (0 = centre)
  * @property {boolean} isCenter - Est le nœud central
+ * @property {string} [expandedFrom] - Nœud dont le déploiement l'a ajouté
+ * @property {boolean} [expanded] - Ses voisins ont été déployés (expandNode)
  */
 
 /**
  * Type Edge
  * @typedef {Object} Edge
- * @property {string} from - ID du nœud source
- * @property {string} to - ID du nœud cible
- * @property {string} type - Type de relation
- * @property {string} source - Source (wikipedia, wikidata, etc.)
+ * @property {string} source - ID du nœud de départ (remplacé par le nœud par D3)
+ * @property {string} target - ID du nœud d'arrivée (remplacé par le nœud par D3)
+ * @property {string} type - Clé de relation (genre, member_of, related...)
+ * @property {string} origin - Source de la relation principale (wikipedia, wikidata, etc.)
+ * @property {Array<string>} origins - Toutes les sources qui relient ces deux nœuds
+ * @property {Array<string>} types - Tous les types de relation, principal en premier
+ * @property {number} value - Score de la relation
+ * @property {string|null} property - Propriété Wikidata (P463...)
+ * @property {string} label - Libellé de la relation dans la langue courante
+ * @property {string|null} rank - Rang du claim (preferred, normal)
+ * @property {Object|null} qualifiers - { start, end, pointInTime, role }
+ * @property {string} [expandedFrom] - Nœud dont le déploiement l'a ajouté
+ * @property {Array<Object>} [relations] - Relations fusionnées (principale en tête), avec leur sens et leur expandedFrom
  */
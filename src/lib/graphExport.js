@@ -0,0 +1,437 @@
+/**
+ * GRAPH EXPORT
+ *
+ * Sérialise le graphe {nodes, edges} vers des formats lisibles par
+ * d'autres outils (Gephi, Cytoscape, tableurs, documentation) et
+ * relit un graphe exporté en JSON pour l'afficher à nouveau.
+ */
+
+const WIKIDATA_ENTITY = 'http://www.wikidata.org/entity/';
+const WIKIDATA_PROP = 'http://www.wikidata.org/prop/direct/';
+const JSON_FORMAT = 'wikiwiki-graph';
+const JSON_VERSION = 1;
+
+/**
+ * Attributs conservés dans tous les formats
+ * (node.type = type d'entité ou relation qui a amené le nœud)
+ */
+const NODE_ATTRIBUTES = [
+  { key: 'type', type: 'string' },
+  { key: 'entityType', type: 'string' },
+  { key: 'level', type: 'int' },
+  { key: 'score', type: 'double' },
+  { key: 'isCenter', type: 'boolean' },
+  { key: 'description', type: 'string' },
+  { key: 'thumbnail', type: 'string' }
+];
+
+const EDGE_ATTRIBUTES = [
+  { key: 'type', type: 'string' },
+  { key: 'origin', type: 'string' },
+  { key: 'origins', type: 'string' },
+  { key: 'types', type: 'string' },
+  { key: 'value', type: 'double' },
+  { key: 'property', type: 'string' },
+  { key: 'label', type: 'string' },
+  { key: 'rank', type: 'string' },
+  { key: 'start', type: 'string' },
+  { key: 'end', type: 'string' }
+];
+
+/**
+ * Formats proposés dans le menu de téléchargement
+ */
+export const EXPORT_FORMATS = [
+  { id: 'json', label: 'JSON (réimportable)', extension: 'json', mime: 'application/json' },
+  { id: 'graphml', label: 'GraphML (Cytoscape, yEd)', extension: 'graphml', mime: 'application/graphml+xml' },
+  { id: 'gexf', label: 'GEXF (Gephi)', extension: 'gexf', mime: 'application/gexf+xml' },
+  { id: 'jsonld', label: 'JSON-LD (Linked Data)', extension: 'jsonld', mime: 'application/ld+json' },
+  { id: 'nodes-csv', label: 'CSV – nœuds', extension: 'nodes.csv', mime: 'text/csv' },
+  { id: 'edges-csv', label: 'CSV – liens', extension: 'edges.csv', mime: 'text/csv' },
+  { id: 'mermaid', label: 'Mermaid (flowchart)', extension: 'mmd', mime: 'text/plain' }
+];
+
+const SERIALIZERS = {
+  'json': toJSON,
+  'graphml': toGraphML,
+  'gexf': toGEXF,
+  'jsonld': toJSONLD,
+  'nodes-csv': toNodesCSV,
+  'edges-csv': toEdgesCSV,
+  'mermaid': toMermaid
+};
+
+/**
+ * Sérialise le graphe dans le format demandé
+ * @param {Graph} graph
+ * @param {string} format - ID d'un des EXPORT_FORMATS
+ * @param {Object} meta - { centerId, lang }
+ * @returns {string}
+ */
+export function exportGraph(graph, format, meta = {}) {
+  const serialize = SERIALIZERS[format];
+  if (!serialize) throw new Error(`Format d'export inconnu : ${format}`);
+  return serialize(snapshot(graph), meta);
+}
+
+/**
+ * Exporte le graphe et déclenche le téléchargement du fichier
+ * @param {string} basename - Nom du fichier sans extension
+ */
+export function downloadGraph(graph, format, basename, meta = {}) {
+  const { extension, mime } = EXPORT_FORMATS.find(f => f.id === format);
+  const content = exportGraph(graph, format, meta);
+
+  downloadFile(content, `${basename}.${extension}`, mime);
+
+  console.log(`💾 Graphe exporté en ${format} (${graph.nodes.length} nœuds)`);
+}
+
+/**
+ * Déclenche le téléchargement d'un contenu texte
+ * @param {string} content
+ * @param {string} filename - Nom du fichier avec extension
+ * @param {string} mime - Type MIME (sans charset)
+ */
+export function downloadFile(content, filename, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Révoquer tout de suite peut annuler le téléchargement dans certains navigateurs
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Relit un graphe exporté en JSON
+ * @param {string} text - Contenu du fichier
+ * @returns {{ graph: Graph, meta: Object }}
+ */
+export function importGraphJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Fichier illisible : JSON invalide');
+  }
+
+  if (data?.format !== JSON_FORMAT || !Array.isArray(data.nodes) || !Array.isArray(data.edges)) {
+    throw new Error('Ce fichier n\'est pas un graphe exporté par wikiwiki');
+  }
+
+  // Nœud sans ID textuel (ou en double) : D3 ne saurait pas y rattacher les liens
+  const ids = new Set();
+  data.nodes.forEach((node, index) => {
+    if (typeof node?.id !== 'string' || !node.id) {
+      throw new Error(`Graphe invalide : le nœud n°${index + 1} n'a pas d'identifiant textuel`);
+    }
+    if (ids.has(node.id)) {
+      throw new Error(`Graphe invalide : le nœud ${node.id} apparaît deux fois`);
+    }
+    ids.add(node.id);
+  });
+
+  const edges = data.edges.filter(edge => ids.has(edge?.source) && ids.has(edge?.target));
+
+  if (edges.length < data.edges.length) {
+    console.warn(`${data.edges.length - edges.length} lien(s) ignoré(s) : extrémité absente des nœuds du fichier`);
+  }
+
+  return {
+    graph: { nodes: data.nodes, edges },
+    meta: { centerId: data.centerId || null, lang: data.lang || null, exportedAt: data.exportedAt || null }
+  };
+}
+
+/**
+ * Copie du graphe sans l'état de simulation D3
+ * (positions, vitesses, edges dont source/target ont été remplacés par les nœuds)
+ */
+function snapshot(graph) {
+  return {
+    nodes: graph.nodes.map(({ x, y, vx, vy, fx, fy, index, ...node }) => node),
+    edges: graph.edges.map(({ index, ...edge }) => ({
+      ...edge,
+      source: edge.source.id || edge.source,
+      target: edge.target.id || edge.target
+    }))
+  };
+}
+
+// --- JSON ---
+
+function toJSON(graph, meta) {
+  return JSON.stringify({
+    format: JSON_FORMAT,
+    version: JSON_VERSION,
+    exportedAt: new Date().toISOString(),
+    centerId: meta.centerId || graph.nodes.find(node => node.isCenter)?.id || null,
+    lang: meta.lang || null,
+    nodes: graph.nodes,
+    edges: graph.edges
+  }, null, 2);
+}
+
+// --- GRAPHML ---
+
+function toGraphML(graph) {
+  const keys = [
+    ...attributeKeys(NODE_ATTRIBUTES, 'node'),
+    `<key id="label" for="node" attr.name="label" attr.type="string"/>`,
+    ...attributeKeys(EDGE_ATTRIBUTES, 'edge', 'e_')
+  ];
+
+  const nodes = graph.nodes.map(node =>
+    `    <node id="${escapeXML(node.id)}">\n` +
+    dataElements({ label: node.label, ...nodeAttributes(node) }, '', 6) +
+    `    </node>`
+  );
+
+  const edges = graph.edges.map((edge, i) =>
+    `    <edge id="e${i}" source="${escapeXML(edge.source)}" target="${escapeXML(edge.target)}">\n` +
+    dataElements(edgeAttributes(edge), 'e_', 6) +
+    `    </edge>`
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...keys.map(key => `  ${key}`),
+    '  <graph id="wikiwiki" edgedefault="directed">',
+    ...nodes,
+    ...edges,
+    '  </graph>',
+    '</graphml>',
+    ''
+  ].join('\n');
+}
+
+function attributeKeys(attributes, domain, prefix = '') {
+  return attributes.map(({ key, type }) =>
+    `<key id="${prefix}${key}" for="${domain}" attr.name="${key}" attr.type="${type}"/>`
+  );
+}
+
+function dataElements(values, prefix, indent) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${' '.repeat(indent)}<data key="${prefix}${key}">${escapeXML(value)}</data>\n`)
+    .join('');
+}
+
+// --- GEXF ---
+
+function toGEXF(graph) {
+  const nodeIndex = new Map(NODE_ATTRIBUTES.map(({ key }, i) => [key, i]));
+  const edgeIndex = new Map(EDGE_ATTRIBUTES.map(({ key }, i) => [key, i]));
+
+  const attributeDeclarations = (attributes, domain) => [
+    `    <attributes class="${domain}">`,
+    ...attributes.map(({ key, type }, i) =>
+      `      <attribute id="${i}" title="${key}" type="${type === 'int' ? 'integer' : type}"/>`),
+    '    </attributes>'
+  ];
+
+  const attvalues = (values, index) => {
+    const entries = Object.entries(values).filter(([, value]) => value !== undefined && value !== null);
+    if (entries.length === 0) return '';
+    return '        <attvalues>\n' +
+      entries.map(([key, value]) =>
+        `          <attvalue for="${index.get(key)}" value="${escapeXML(value)}"/>\n`).join('') +
+      '        </attvalues>\n';
+  };
+
+  const nodes = graph.nodes.map(node =>
+    `      <node id="${escapeXML(node.id)}" label="${escapeXML(node.label ?? node.id)}">\n` +
+    attvalues(nodeAttributes(node), nodeIndex) +
+    '      </node>'
+  );
+
+  const edges = graph.edges.map((edge, i) =>
+    `      <edge id="${i}" source="${escapeXML(edge.source)}" target="${escapeXML(edge.target)}"` +
+    ` weight="${edge.value ?? 1}" label="${escapeXML(edge.label || edge.type || '')}">\n` +
+    attvalues(edgeAttributes(edge), edgeIndex) +
+    '      </edge>'
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+    '    <creator>wikiwiki</creator>',
+    '  </meta>',
+    '  <graph mode="static" defaultedgetype="directed">',
+    ...attributeDeclarations(NODE_ATTRIBUTES, 'node'),
+    ...attributeDeclarations(EDGE_ATTRIBUTES, 'edge'),
+    '    <nodes>',
+    ...nodes,
+    '    </nodes>',
+    '    <edges>',
+    ...edges,
+    '    </edges>',
+    '  </graph>',
+    '</gexf>',
+    ''
+  ].join('\n');
+}
+
+// --- JSON-LD ---
+
+/**
+ * Les nœuds Wikidata gardent leur IRI (wd:Q…), les nœuds "wiki:Titre"
+ * pointent vers l'article Wikipedia. Chaque edge est réifié en "Relation"
+ * pour garder ses attributs ; les relations Wikidata sont aussi posées
+ * directement (wdt:P…) sur le nœud de départ.
+ */
+function toJSONLD(graph, meta) {
+  const lang = meta.lang || 'en';
+  const iri = id => id.startsWith('Q')
+    ? `wd:${id}`
+    : `https://${lang}.wikipedia.org/wiki/${encodeURIComponent(id.replace(/^wiki:/, '').replace(/ /g, '_'))}`;
+
+  const nodes = graph.nodes.map(node => {
+    const entry = {
+      '@id': iri(node.id),
+      '@type': 'ww:Node',
+      'rdfs:label': node.label ? { '@value': node.label, '@language': lang } : undefined,
+      ...nodeAttributes(node)
+    };
+
+    for (const edge of graph.edges) {
+      if (edge.source !== node.id || !edge.property) continue;
+      const key = `wdt:${edge.property}`;
+      entry[key] = [...(entry[key] || []), { '@id': iri(edge.target) }];
+    }
+
+    return entry;
+  });
+
+  const relations = graph.edges.map(edge => ({
+    '@type': 'ww:Relation',
+    'ww:source': { '@id': iri(edge.source) },
+    'ww:target': { '@id': iri(edge.target) },
+    ...edgeAttributes(edge)
+  }));
+
+  return JSON.stringify({
+    '@context': {
+      wd: WIKIDATA_ENTITY,
+      wdt: WIKIDATA_PROP,
+      rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+      ww: 'https://wikiwiki.local/vocab#',
+      type: 'ww:type',
+      entityType: 'ww:entityType',
+      level: 'ww:level',
+      score: 'ww:score',
+      isCenter: 'ww:isCenter',
+      description: 'ww:description',
+      thumbnail: { '@id': 'ww:thumbnail', '@type': '@id' },
+      origin: 'ww:origin',
+      origins: 'ww:origins',
+      types: 'ww:types',
+      value: 'ww:score',
+      property: 'ww:property',
+      label: 'ww:label',
+      rank: 'ww:rank',
+      start: 'ww:start',
+      end: 'ww:end'
+    },
+    '@graph': [...nodes, ...relations]
+  }, null, 2);
+}
+
+// --- CSV ---
+
+function toNodesCSV(graph) {
+  const columns = ['id', 'label', ...NODE_ATTRIBUTES.map(({ key }) => key)];
+  return toCSV(columns, graph.nodes.map(node => ({ id: node.id, label: node.label, ...nodeAttributes(node) })));
+}
+
+function toEdgesCSV(graph) {
+  const columns = ['source', 'target', ...EDGE_ATTRIBUTES.map(({ key }) => key)];
+  return toCSV(columns, graph.edges.map(edge => ({ source: edge.source, target: edge.target, ...edgeAttributes(edge) })));
+}
+
+function toCSV(columns, rows) {
+  const cell = value => {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns.join(','), ...rows.map(row => columns.map(column => cell(row[column])).join(','))].join('\n') + '\n';
+}
+
+// --- MERMAID ---
+
+/**
+ * Mermaid n'a pas d'attributs : le type devient une classe, l'origine
+ * le style du trait (plein = Wikidata, pointillé = Wikipedia) ; niveau
+ * et score sont gardés en commentaires.
+ */
+function toMermaid(graph) {
+  const ids = new Map(graph.nodes.map((node, i) => [node.id, `n${i}`]));
+  const text = value => String(value ?? '')
+    .replace(/"/g, '#quot;')
+    .replace(/</g, '#lt;')
+    .replace(/>/g, '#gt;');
+  const className = type => `t_${String(type || 'entity').replace(/[^\w]/g, '_')}`;
+
+  const lines = ['flowchart LR'];
+
+  for (const node of graph.nodes) {
+    lines.push(`  %% ${node.id} type=${node.type ?? ''} level=${node.level ?? ''} score=${node.score ?? ''}`);
+    lines.push(`  ${ids.get(node.id)}["${text(node.label ?? node.id)}"]:::${className(node.type)}`);
+  }
+
+  for (const edge of graph.edges) {
+    const arrow = edge.origin === 'wikidata' ? '-->' : '-.->';
+    lines.push(`  %% ${edge.source} -> ${edge.target} type=${edge.type ?? ''} origin=${edge.origin ?? ''} score=${edge.value ?? ''}`);
+    lines.push(`  ${ids.get(edge.source)} ${arrow}|"${text(edge.label || edge.type)}"| ${ids.get(edge.target)}`);
+  }
+
+  for (const type of new Set(graph.nodes.map(node => node.type))) {
+    lines.push(`  classDef ${className(type)} stroke-width:1px`);
+  }
+  const center = graph.nodes.find(node => node.isCenter);
+  if (center) {
+    lines.push('  classDef center stroke-width:3px');
+    lines.push(`  class ${ids.get(center.id)} center`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// --- Utilitaires ---
+
+function nodeAttributes(node) {
+  return Object.fromEntries(NODE_ATTRIBUTES.map(({ key }) => [key, node[key]]));
+}
+
+function edgeAttributes(edge) {
+  return {
+    type: edge.type,
+    origin: edge.origin,
+    // Relations fusionnées (wikidata|wikipedia) : listes séparées par "|"
+    origins: edge.origins?.join('|'),
+    types: edge.types?.join('|'),
+    value: edge.value,
+    property: edge.property,
+    label: edge.label,
+    rank: edge.rank,
+    start: edge.qualifiers?.start?.time ?? edge.qualifiers?.pointInTime?.time,
+    end: edge.qualifiers?.end?.time
+  };
+}
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,184 @@
+/**
+ * STYLE ET FILTRES DU GRAPHE
+ *
+ * Encodage visuel partagé par NeuralGraph et sa légende :
+ * - nœuds : couleur et forme selon le type d'entité inféré
+ * - liens : couleur selon la relation, tracé selon la source
+ *   (plein pour Wikidata, tirets pour un lien Wikipedia seul,
+ *   pointillés pour une relation entrante)
+ * Les filtres masquent nœuds et liens sans reconstruire le graphe.
+ */
+
+import * as d3 from 'd3';
+
+// Type d'entité → { couleur, forme (symbole d3), libellé de légende }
+export const NODE_STYLES = {
+  person: { color: '#4fc3f7', shape: 'circle', label: 'Personne' },
+  group: { color: '#7986cb', shape: 'circle', label: 'Groupe' },
+  musical_work: { color: '#ef5350', shape: 'square', label: 'Œuvre musicale' },
+  film: { color: '#ec407a', shape: 'square', label: 'Film' },
+  series: { color: '#ba68c8', shape: 'square', label: 'Série' },
+  book: { color: '#a1887f', shape: 'square', label: 'Livre' },
+  artwork: { color: '#d4e157', shape: 'square', label: 'Œuvre d\'art' },
+  taxon: { color: '#9ccc65', shape: 'wye', label: 'Taxon' },
+  event: { color: '#fff176', shape: 'star', label: 'Événement' },
+  place: { color: '#66bb6a', shape: 'triangle', label: 'Lieu' },
+  organisation: { color: '#26a69a', shape: 'diamond', label: 'Organisation' },
+  concept: { color: '#90a4ae', shape: 'diamond', label: 'Concept' },
+  entity: { color: '#546e7a', shape: 'circle', label: 'Autre' }
+};
+
+// Source d'une relation → motif du trait (null = plein)
+export const ORIGIN_STYLES = {
+  wikidata: { dash: null, label: 'Wikidata' },
+  wikipedia: { dash: '6,4', label: 'Wikipedia' },
+  sparql: { dash: '1,3', label: 'Wikidata (entrant)' },
+  tmdb: { dash: '8,3,2,3', label: 'TMDB' },
+  musicbrainz: { dash: '4,2,1,2,1,2', label: 'MusicBrainz' }
+};
+
+const OTHER_ORIGIN_DASH = '2,3';
+
+// Lien Wikipedia générique : couleur historique du graphe
+const RELATED_COLOR = '#4a9eff';
+const RELATION_PALETTE = [...d3.schemeTableau10, ...d3.schemeSet2].filter(color => color !== '#4e79a7');
+
+const SYMBOLS = {
+  circle: d3.symbolCircle,
+  square: d3.symbolSquare,
+  diamond: d3.symbolDiamond,
+  triangle: d3.symbolTriangle,
+  star: d3.symbolStar,
+  wye: d3.symbolWye
+};
+
+/**
+ * Style d'un nœud (type d'entité inféré, sinon type du centre)
+ */
+export function nodeStyle(node) {
+  return NODE_STYLES[node.entityType || (node.isCenter ? node.type : 'entity')] || NODE_STYLES.entity;
+}
+
+// Agrandissement des formes anguleuses pour qu'elles entourent la photo ronde
+const SHAPE_SCALES = { circle: 1, square: 1.1, diamond: 1.3, triangle: 1.7, star: 1.9, wye: 1.9 };
+
+/**
+ * Contour SVG (attribut d) de la forme d'un nœud autour d'une photo de rayon r
+ */
+export function nodeShapePath(shape, radius) {
+  const r = radius * (SHAPE_SCALES[shape] || 1);
+  return d3.symbol().type(SYMBOLS[shape] || d3.symbolCircle).size(Math.PI * r * r)();
+}
+
+/**
+ * Couleur d'une relation : stable d'un graphe à l'autre (dérivée de sa clé)
+ */
+export function relationColor(type) {
+  if (!type || type === 'related') return RELATED_COLOR;
+
+  let hash = 0;
+  for (const char of type) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  return RELATION_PALETTE[hash % RELATION_PALETTE.length];
+}
+
+/**
+ * Motif du trait d'un lien : plein dès que Wikidata le confirme
+ */
+export function edgeDash(edge) {
+  const origins = edge.origins || [edge.origin];
+  const origin = Object.keys(ORIGIN_STYLES).find(key => origins.includes(key));
+  return origin ? ORIGIN_STYLES[origin].dash : OTHER_ORIGIN_DASH;
+}
+
+/**
+ * Filtres sous une forme unique, qu'ils viennent de l'URL (listes de chaînes)
+ * ou du panneau de filtres
+ * @returns {GraphFilters}
+ */
+export function normalizeFilters(filters = {}) {
+  return {
+    hideRelations: [].concat(filters.hideRelations || []),
+    hideSources: [].concat(filters.hideSources || []),
+    minScore: Number([].concat(filters.minScore ?? 0)[0]) || 0
+  };
+}
+
+/**
+ * Filtres actifs seulement (pour l'URL : un graphe non filtré garde une route courte)
+ */
+export function activeFilters(filters = {}) {
+  const { hideRelations, hideSources, minScore } = normalizeFilters(filters);
+  return {
+    ...(hideRelations.length > 0 && { hideRelations }),
+    ...(hideSources.length > 0 && { hideSources }),
+    ...(minScore > 0 && { minScore })
+  };
+}
+
+/**
+ * Partie visible du graphe : les liens qui passent les filtres, et les nœuds
+ * encore reliés au centre par ces liens (à défaut de centre : les nœuds reliés)
+ * Les objets nœuds et liens sont ceux du graphe : D3 garde leurs positions.
+ * @param {Graph} graph
+ * @param {GraphFilters} filters
+ * @returns {Graph}
+ */
+export function filterGraph(graph, filters = {}) {
+  const { hideRelations, hideSources, minScore } = normalizeFilters(filters);
+  if (hideRelations.length === 0 && hideSources.length === 0 && minScore === 0) return graph;
+
+  const hiddenRelations = new Set(hideRelations);
+  const hiddenSources = new Set(hideSources);
+
+  // Un lien fusionné reste visible tant qu'une de ses relations / sources l'est
+  const edges = graph.edges.filter(edge =>
+    edge.value >= minScore
+    && (edge.types || [edge.type]).some(type => !hiddenRelations.has(type))
+    && (edge.origins || [edge.origin]).some(origin => !hiddenSources.has(origin))
+  );
+
+  const neighbours = new Map();
+  for (const edge of edges) {
+    const source = endpointId(edge.source);
+    const target = endpointId(edge.target);
+    if (!neighbours.has(source)) neighbours.set(source, []);
+    if (!neighbours.has(target)) neighbours.set(target, []);
+    neighbours.get(source).push(target);
+    neighbours.get(target).push(source);
+  }
+
+  const roots = graph.nodes.filter(node => node.isCenter).map(node => node.id);
+  let visible;
+
+  if (roots.length > 0) {
+    visible = new Set(roots);
+    const queue = [...roots];
+    while (queue.length > 0) {
+      for (const next of neighbours.get(queue.shift()) || []) {
+        if (visible.has(next)) continue;
+        visible.add(next);
+        queue.push(next);
+      }
+    }
+  } else {
+    visible = new Set(neighbours.keys());
+  }
+
+  return {
+    nodes: graph.nodes.filter(node => visible.has(node.id)),
+    edges: edges.filter(edge => visible.has(endpointId(edge.source)) && visible.has(endpointId(edge.target)))
+  };
+}
+
+// D3 remplace les IDs source/target des liens par les objets nœuds
+export function endpointId(endpoint) {
+  return endpoint.id ?? endpoint;
+}
+
+/**
+ * Type GraphFilters
+ * @typedef {Object} GraphFilters
+ * @property {Array<string>} hideRelations - Types de relation masqués
+ * @property {Array<string>} hideSources - Sources masquées (wikidata, wikipedia...)
+ * @property {number} minScore - Score minimal d'un lien affiché
+ */
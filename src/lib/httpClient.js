@@ -0,0 +1,228 @@
+/**
+ * HTTP CLIENT
+ *
+ * Couche réseau commune à toutes les sources :
+ * - file d'attente par hôte avec débit configurable (requêtes/seconde)
+ * - retry avec backoff exponentiel sur 429/503 (respecte Retry-After)
+ * - timeout par requête
+ * - politique User-Agent (Api-User-Agent pour Wikimedia)
+ */
+
+const USER_AGENT = 'WikiWiki/0.1.0 (educational)';
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_RETRIES = 3;
+const BASE_BACKOFF = 1000;
+const MAX_BACKOFF = 30000;
+
+const RETRY_STATUSES = [429, 503];
+
+/**
+ * Politique par hôte
+ * Clé = hôte exact ou suffixe de domaine (".wikipedia.org" couvre toutes les langues)
+ * userAgentHeader : les navigateurs interdisent de modifier User-Agent,
+ * Wikimedia lit donc Api-User-Agent à la place. MusicBrainz et Nominatim
+ * n'ont pas d'équivalent : l'app s'y identifie par l'Origin et le Referer
+ * envoyés par le navigateur (un en-tête en plus imposerait un preflight CORS)
+ */
+const HOST_POLICIES = {
+  'musicbrainz.org': { requestsPerSecond: 1, userAgentHeader: null },
+  'nominatim.openstreetmap.org': { requestsPerSecond: 1, userAgentHeader: null },
+  'www.wikidata.org': { requestsPerSecond: 10, userAgentHeader: 'Api-User-Agent' },
+  'export.arxiv.org': { requestsPerSecond: 1 / 3, userAgentHeader: null },
+  'query.wikidata.org': { requestsPerSecond: 2, userAgentHeader: 'Api-User-Agent' },
+  '.wikipedia.org': { requestsPerSecond: 10, userAgentHeader: 'Api-User-Agent' },
+  '.wikimedia.org': { requestsPerSecond: 10, userAgentHeader: 'Api-User-Agent' },
+  'default': { requestsPerSecond: 5, userAgentHeader: null }
+};
+
+// État des files par hôte : date du prochain créneau libre
+const hostQueues = new Map();
+
+/**
+ * Modifie (ou ajoute) la politique d'un hôte
+ * @param {string} host - Hôte exact ou suffixe commençant par "."
+ * @param {Object} policy - { requestsPerSecond, userAgentHeader }
+ */
+export function configureHost(host, policy) {
+  HOST_POLICIES[host] = { ...(HOST_POLICIES[host] || HOST_POLICIES.default), ...policy };
+}
+
+function getPolicy(host) {
+  if (HOST_POLICIES[host]) return HOST_POLICIES[host];
+
+  const suffix = Object.keys(HOST_POLICIES)
+    .find(key => key.startsWith('.') && host.endsWith(key));
+
+  return suffix ? HOST_POLICIES[suffix] : HOST_POLICIES.default;
+}
+
+/**
+ * Réserve le prochain créneau de l'hôte et attend qu'il arrive
+ * Les créneaux sont espacés de 1000 / requestsPerSecond ms,
+ * quel que soit le nombre d'appelants en parallèle
+ */
+async function acquireSlot(host, policy, signal) {
+  const interval = 1000 / policy.requestsPerSecond;
+  const now = Date.now();
+  const nextSlot = Math.max(now, hostQueues.get(host) || 0);
+
+  hostQueues.set(host, nextSlot + interval);
+
+  if (nextSlot > now) {
+    await sleep(nextSlot - now, signal);
+  }
+}
+
+/**
+ * Requête HTTP avec file par hôte, retries et timeout
+ * @param {string} url
+ * @param {Object} options - Options fetch + { timeout, retries, signal }
+ * @returns {Promise<Response>} Réponse (ok ou non, après épuisement des retries)
+ */
+export async function request(url, options = {}) {
+  const { timeout = DEFAULT_TIMEOUT, retries = DEFAULT_RETRIES, signal, headers = {}, ...fetchOptions } = options;
+  const host = new URL(url).hostname;
+  const policy = getPolicy(host);
+
+  const finalHeaders = { ...headers };
+  if (policy.userAgentHeader) {
+    finalHeaders[policy.userAgentHeader] = USER_AGENT;
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    await acquireSlot(host, policy, signal);
+
+    const response = await fetchWithTimeout(url, { ...fetchOptions, headers: finalHeaders }, timeout, signal);
+
+    if (!RETRY_STATUSES.includes(response.status) || attempt >= retries) {
+      return response;
+    }
+
+    const delay = getRetryDelay(response, attempt);
+    console.warn(`⏳ ${host} a répondu ${response.status}, nouvel essai dans ${delay} ms`);
+    await sleep(delay, signal);
+  }
+}
+
+/**
+ * Requête renvoyant du JSON (lève une HttpError si le statut n'est pas 2xx)
+ */
+export async function fetchJSON(url, options = {}) {
+  const response = await request(url, options);
+  if (!response.ok) throw new HttpError(url, response.status);
+  return response.json();
+}
+
+/**
+ * Requête renvoyant du texte (lève une HttpError si le statut n'est pas 2xx)
+ */
+export async function fetchText(url, options = {}) {
+  const response = await request(url, options);
+  if (!response.ok) throw new HttpError(url, response.status);
+  return response.text();
+}
+
+async function fetchWithTimeout(url, fetchOptions, timeout, signal) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new TimeoutError(url, timeout)), timeout);
+
+  // Propager l'annulation de l'appelant
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) onAbort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  try {
+    return await fetch(url, { ...fetchOptions, signal: controller.signal });
+  } catch (error) {
+    // fetch rejette avec une AbortError générique : on remonte la vraie raison
+    throw controller.signal.aborted ? controller.signal.reason : error;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Délai avant retry : Retry-After (secondes ou date HTTP) sinon backoff exponentiel
+ */
+function getRetryDelay(response, attempt) {
+  const retryAfter = response.headers.get('Retry-After');
+
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds)
+      ? new Date(retryAfter).getTime() - Date.now()
+      : seconds * 1000;
+
+    if (delay >= 0) return Math.min(delay, MAX_BACKOFF);
+  }
+
+  const backoff = BASE_BACKOFF * 2 ** attempt;
+  return Math.min(backoff + Math.random() * 250, MAX_BACKOFF);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Attend une promesse partagée (cache) avec le signal propre à l'appelant :
+ * son annulation rejette sa seule attente, la promesse continue pour les autres
+ * @param {Promise} promise - Promesse lancée sans signal
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+export function withSignal(promise, signal) {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Vrai si l'erreur vient d'une annulation volontaire (AbortController.abort())
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+export class HttpError extends Error {
+  constructor(url, status) {
+    super(`HTTP ${status} pour ${url}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.url = url;
+  }
+}
+
+export class TimeoutError extends Error {
+  constructor(url, timeout) {
+    super(`Pas de réponse en ${timeout} ms pour ${url}`);
+    this.name = 'TimeoutError';
+    this.url = url;
+  }
+}
@@ -0,0 +1,194 @@
+/**
+ * INCOMING RELATIONS
+ *
+ * Relations entrantes ("pages liées") : les claims des autres éléments
+ * qui pointent vers l'entité (qui a été influencé par Sidney Bechet,
+ * quels films ont un acteur dans leur distribution, quelles œuvres sont
+ * d'un genre...). extractConnectedEntities ne suit que les claims de
+ * l'entité elle-même : ces faits inverses viennent du service SPARQL
+ * de Wikidata, avec des requêtes modèles par type d'entité.
+ * Source optionnelle (désactivée par défaut) ; l'endpoint est configurable
+ * pour interroger un service SPARQL local.
+ */
+
+import { fetchJSON, withSignal } from './httpClient.js';
+import { getRelationKey } from './propertyProfiles.js';
+
+export const DEFAULT_SPARQL_ENDPOINT = 'https://query.wikidata.org/sparql';
+
+const ENABLED_STORAGE_KEY = 'wikiwiki.incoming';
+
+/**
+ * Requête modèle d'une relation entrante : éléments ?item dont la propriété
+ * pointe vers l'entité, les plus connus (sitelinks) d'abord.
+ * Variables : {{id}}, {{property}}, {{lang}}, {{limit}}
+ * Une requête personnalisée doit retourner ?item et ?itemLabel.
+ */
+export const DEFAULT_SPARQL_TEMPLATE = `SELECT ?item ?itemLabel WHERE {
+  ?item wdt:{{property}} wd:{{id}} .
+  OPTIONAL { ?item wikibase:sitelinks ?sitelinks . }
+  SERVICE wikibase:label { bd:serviceParam wikibase:language "{{lang}},mul,en". }
+}
+ORDER BY DESC(?sitelinks)
+LIMIT {{limit}}`;
+
+/**
+ * Propriétés entrantes interrogées par type d'entité (ordre = priorité)
+ * Une entrée est un PID (requête modèle par défaut)
+ * ou { property, query } pour une requête SPARQL propre.
+ */
+export const INCOMING_PROFILES = {
+  person: ['P737', 'P1066', 'P161', 'P175', 'P86', 'P57', 'P50', 'P170'],
+  group: ['P737', 'P463', 'P175'],
+  musical_work: ['P144', 'P155'],
+  film: ['P144', 'P155'],
+  series: ['P144'],
+  book: ['P144', 'P921'],
+  artwork: ['P144', 'P180'],
+  place: ['P19', 'P20', 'P131', 'P740'],
+  organisation: ['P108', 'P463', 'P69', 'P264'],
+  event: ['P793'],
+  taxon: ['P171'],
+  concept: ['P136', 'P135', 'P101', 'P279'],
+  entity: ['P737', 'P136']
+};
+
+let settings = {
+  enabled: localStorage.getItem(ENABLED_STORAGE_KEY) === '1',
+  endpoint: DEFAULT_SPARQL_ENDPOINT,
+  template: DEFAULT_SPARQL_TEMPLATE,
+  limit: 15
+};
+
+// Résultats par endpoint et requête (promesses partagées)
+const resultCache = new Map();
+
+/**
+ * Modifie la configuration des relations entrantes
+ * (enabled est mémorisé pour les prochaines visites)
+ * @param {Object} changes - { enabled, endpoint, template, limit }
+ */
+export function configureIncomingRelations(changes) {
+  settings = { ...settings, ...changes };
+  if ('enabled' in changes) {
+    localStorage.setItem(ENABLED_STORAGE_KEY, changes.enabled ? '1' : '0');
+  }
+  console.log('↩️ Relations entrantes:', settings.enabled ? `activées (${settings.endpoint})` : 'désactivées');
+}
+
+/**
+ * Configuration courante
+ * @returns {{enabled: boolean, endpoint: string, template: string, limit: number}}
+ */
+export function getIncomingRelationsSettings() {
+  return { ...settings };
+}
+
+/**
+ * Empreinte de la configuration pour les clés de cache des graphes
+ * (vide si la source est désactivée ; le modèle de requête est haché)
+ * @returns {string}
+ */
+export function incomingRelationsCacheKey() {
+  if (!settings.enabled) return '';
+
+  let hash = 0;
+  for (const char of settings.template) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  return `incoming:${settings.endpoint}:${settings.limit}:${hash.toString(36)}`;
+}
+
+/**
+ * Remplace les propriétés entrantes interrogées pour un type d'entité
+ * @param {string} type - Type d'entité (person, film...)
+ * @param {Array<string|{property: string, query: string}>} entries
+ */
+export function configureIncomingProfile(type, entries) {
+  INCOMING_PROFILES[type] = [...entries];
+}
+
+/**
+ * Relations entrantes d'une entité, au format d'extractConnectedEntities
+ * (direction: 'incoming' : l'edge part du voisin vers l'entité)
+ * Vide si la source est désactivée ; une requête en échec est ignorée.
+ * @param {Entity} entity - Entité résolue
+ * @param {string} lang - Langue des libellés
+ * @param {number} score - Score des relations trouvées
+ * @param {AbortSignal} signal
+ * @returns {Promise<Array<Object>>} { id, label, type, score, source: 'sparql', property, direction }
+ */
+export async function fetchIncomingRelations(entity, lang, score, signal) {
+  if (!settings.enabled) return [];
+
+  const entries = (INCOMING_PROFILES[entity.type] || INCOMING_PROFILES.entity)
+    .map(entry => typeof entry === 'string' ? { property: entry, query: settings.template } : entry);
+
+  const results = await Promise.all(entries.map(async ({ property, query }) => {
+    try {
+      const bindings = await runSparqlQuery(fillTemplate(query, { id: entity.id, property, lang, limit: settings.limit }), signal);
+      return bindings
+        .map(binding => ({ id: bindingItemId(binding.item), label: binding.itemLabel?.value, property }))
+        .filter(item => item.id);
+    } catch (error) {
+      signal?.throwIfAborted();
+      console.warn(`Relations entrantes ${property} indisponibles:`, error.message);
+      return [];
+    }
+  }));
+
+  // Un élément lié par plusieurs propriétés garde la plus prioritaire du profil
+  const relations = new Map();
+  for (const { id, label, property } of results.flat()) {
+    if (id === entity.id || relations.has(id)) continue;
+    relations.set(id, {
+      id,
+      label: label || id,
+      type: getRelationKey(property),
+      score,
+      source: 'sparql',
+      property,
+      direction: 'incoming'
+    });
+  }
+
+  console.log(`↩️ ${entity.id} : ${relations.size} relation(s) entrante(s)`);
+  return [...relations.values()];
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? match);
+}
+
+/**
+ * Exécute une requête SPARQL sur l'endpoint configuré
+ * (résultat mis en cache pour la session ; la requête partagée tourne sans
+ * signal, l'annulation d'un appelant n'interrompt que son attente)
+ * @returns {Promise<Array<Object>>} Lignes de résultat (results.bindings)
+ */
+export function runSparqlQuery(query, signal) {
+  const key = `${settings.endpoint}|${query}`;
+
+  if (!resultCache.has(key)) {
+    const params = new URLSearchParams({ query, format: 'json' });
+    const request = fetchJSON(`${settings.endpoint}?${params}`, {
+      headers: { 'Accept': 'application/sparql-results+json' }
+    })
+      .then(data => data.results?.bindings || [])
+      .catch(error => {
+        // Pas de cache d'un échec
+        resultCache.delete(key);
+        throw error;
+      });
+    resultCache.set(key, request);
+  }
+
+  return withSignal(resultCache.get(key), signal);
+}
+
+/**
+ * QID d'une valeur d'élément SPARQL (http://www.wikidata.org/entity/Q42 → Q42)
+ * @returns {string|null}
+ */
+export function bindingItemId(term) {
+  const id = term?.value?.split('/').pop();
+  return /^Q\d+$/.test(id || '') ? id : null;
+}
@@ -0,0 +1,42 @@
+/**
+ * LANGUES
+ *
+ * Langues proposées dans l'interface et chaîne de repli des labels
+ * Wikidata : langue de l'utilisateur → mul → en → n'importe laquelle
+ */
+
+export const LANGUAGES = [
+  { code: 'fr', name: 'Français' },
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Español' },
+  { code: 'de', name: 'Deutsch' },
+  { code: 'it', name: 'Italiano' },
+  { code: 'pt', name: 'Português' },
+  { code: 'nl', name: 'Nederlands' },
+  { code: 'pl', name: 'Polski' },
+  { code: 'ja', name: '日本語' }
+];
+
+/**
+ * Chaîne de repli pour une langue donnée
+ * "mul" = labels multilingues de Wikidata (noms propres identiques partout)
+ */
+export function getFallbackChain(lang) {
+  return [...new Set([lang, 'mul', 'en'])];
+}
+
+/**
+ * Choisit la meilleure valeur d'un objet de termes Wikidata
+ * ({ fr: { value }, en: { value }, ... }) selon la chaîne de repli
+ * @returns {string|undefined}
+ */
+export function pickLocalized(terms, lang) {
+  if (!terms) return undefined;
+
+  for (const code of getFallbackChain(lang)) {
+    if (terms[code]?.value) return terms[code].value;
+  }
+
+  // Dernier recours : la première langue disponible
+  return Object.values(terms)[0]?.value;
+}
@@ -0,0 +1,260 @@
+/**
+ * BIBLIOTHÈQUE (chemins et collections)
+ *
+ * Données de l'utilisateur stockées localement (IndexedDB) :
+ * - chemins d'exploration nommés (suite d'entités du breadcrumb)
+ * - collections d'entités, chaque entrée avec ses tags et sa note
+ * Exportables / importables en JSON.
+ */
+
+import { db } from './db.js';
+
+const LIBRARY_FORMAT = 'wikiwiki-library';
+const LIBRARY_VERSION = 1;
+// Étape de chemin valide : QID Wikidata ou page wiki:Titre
+const STEP_ID_PATTERN = /^Q\d+$|^wiki:/;
+
+// --- CHEMINS ---
+
+/**
+ * Enregistre un chemin d'exploration
+ * @param {string} name - Nom du chemin
+ * @param {Array<{id: string, name: string}>} steps - Entités parcourues, dans l'ordre
+ * @returns {Promise<number>} ID du chemin
+ */
+export async function savePath(name, steps) {
+  if (!name.trim()) throw new Error('Le chemin doit avoir un nom');
+  if (steps.length === 0) throw new Error('Chemin vide');
+
+  const id = await db.paths.add({
+    name: name.trim(),
+    steps: steps.map(({ id, name }) => ({ id, name })),
+    createdAt: Date.now()
+  });
+  console.log(`🧭 Chemin « ${name} » enregistré (${steps.length} étapes)`);
+  return id;
+}
+
+/**
+ * Chemins enregistrés, du plus récent au plus ancien
+ * @returns {Promise<Array<Path>>}
+ */
+export function listPaths() {
+  return db.paths.orderBy('createdAt').reverse().toArray();
+}
+
+export function deletePath(id) {
+  return db.paths.delete(id);
+}
+
+// --- COLLECTIONS ---
+
+/**
+ * Crée une collection (le nom est unique)
+ * @returns {Promise<number>} ID de la collection
+ */
+export async function createCollection(name) {
+  if (!name.trim()) throw new Error('La collection doit avoir un nom');
+
+  const existing = await db.collections.where('name').equals(name.trim()).first();
+  if (existing) throw new Error(`La collection « ${name.trim()} » existe déjà`);
+
+  return db.collections.add({ name: name.trim(), createdAt: Date.now() });
+}
+
+/**
+ * Collections avec leurs entrées
+ * @returns {Promise<Array<Collection>>}
+ */
+export async function listCollections() {
+  const [collections, items] = await Promise.all([
+    db.collections.orderBy('createdAt').toArray(),
+    db.collectionItems.toArray()
+  ]);
+
+  return collections.map(collection => ({
+    ...collection,
+    items: items
+      .filter(item => item.collectionId === collection.id)
+      .sort((a, b) => b.addedAt - a.addedAt)
+  }));
+}
+
+export async function deleteCollection(id) {
+  await db.transaction('rw', db.collections, db.collectionItems, async () => {
+    await db.collectionItems.where('collectionId').equals(id).delete();
+    await db.collections.delete(id);
+  });
+}
+
+/**
+ * Ajoute une entité à une collection (met à jour tags et note si elle y est déjà)
+ * @param {number} collectionId
+ * @param {Entity} entity - Entité résolue (seuls id, nom, description et type sont gardés)
+ * @param {Object} details - { tags: Array<string>, note: string }
+ */
+export async function addToCollection(collectionId, entity, { tags = [], note = '' } = {}) {
+  const existing = await db.collectionItems.get({ collectionId, entityId: entity.id });
+
+  const item = {
+    collectionId,
+    entityId: entity.id,
+    name: entity.name,
+    description: entity.description || '',
+    type: entity.type || 'entity',
+    tags: normalizeTags(tags),
+    note: note.trim(),
+    addedAt: existing?.addedAt || Date.now()
+  };
+
+  if (existing) {
+    await db.collectionItems.update(existing.id, item);
+    return existing.id;
+  }
+  return db.collectionItems.add(item);
+}
+
+/**
+ * Modifie les tags et/ou la note d'une entrée
+ */
+export function updateCollectionItem(id, { tags, note }) {
+  const changes = {};
+  if (tags !== undefined) changes.tags = normalizeTags(tags);
+  if (note !== undefined) changes.note = note.trim();
+  return db.collectionItems.update(id, changes);
+}
+
+export function removeFromCollection(id) {
+  return db.collectionItems.delete(id);
+}
+
+/**
+ * Tous les tags utilisés, triés
+ */
+export async function listTags() {
+  const tags = await db.collectionItems.orderBy('tags').uniqueKeys();
+  return tags.sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Accepte "jazz, new orleans" ou ["jazz", "new orleans"]
+ */
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+// --- EXPORT / IMPORT ---
+
+/**
+ * Exporte chemins et collections en JSON
+ * @returns {Promise<string>}
+ */
+export async function exportLibrary() {
+  const [paths, collections] = await Promise.all([listPaths(), listCollections()]);
+
+  return JSON.stringify({
+    format: LIBRARY_FORMAT,
+    version: LIBRARY_VERSION,
+    exportedAt: new Date().toISOString(),
+    paths: paths.map(({ id, ...path }) => path),
+    collections: collections.map(({ id, items, ...collection }) => ({
+      ...collection,
+      items: items.map(({ id, collectionId, ...item }) => item)
+    }))
+  }, null, 2);
+}
+
+/**
+ * Importe un export JSON en le fusionnant avec la bibliothèque existante
+ * (les chemins sont ajoutés, les collections de même nom sont fusionnées)
+ * @returns {Promise<{paths: number, collections: number, items: number}>} Éléments importés
+ */
+export async function importLibrary(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Fichier illisible : JSON invalide');
+  }
+
+  if (data?.format !== LIBRARY_FORMAT || !Array.isArray(data.paths) || !Array.isArray(data.collections)) {
+    throw new Error('Ce fichier n\'est pas une bibliothèque exportée par wikiwiki');
+  }
+
+  const counts = { paths: 0, collections: 0, items: 0 };
+
+  await db.transaction('rw', db.paths, db.collections, db.collectionItems, async () => {
+    for (const path of data.paths) {
+      if (!path.name || !Array.isArray(path.steps)) continue;
+      // Étapes invalides écartées : elles seraient ouvertes telles quelles depuis la barre latérale
+      const steps = path.steps
+        .filter(step => typeof step?.id === 'string' && STEP_ID_PATTERN.test(step.id) && step.name)
+        .map(({ id, name }) => ({ id, name }));
+      if (steps.length === 0) continue;
+      await db.paths.add({ name: path.name, steps, createdAt: path.createdAt || Date.now() });
+      counts.paths++;
+    }
+
+    for (const collection of data.collections) {
+      if (!collection.name) continue;
+
+      const existing = await db.collections.where('name').equals(collection.name).first();
+      const collectionId = existing?.id ?? await db.collections.add({
+        name: collection.name,
+        createdAt: collection.createdAt || Date.now()
+      });
+      if (!existing) counts.collections++;
+
+      for (const item of collection.items || []) {
+        if (!item.entityId) continue;
+
+        const { id, ...fields } = item;
+        const entry = { ...fields, tags: normalizeTags(item.tags || []), collectionId };
+        const duplicate = await db.collectionItems.get({ collectionId, entityId: item.entityId });
+
+        if (duplicate) {
+          await db.collectionItems.update(duplicate.id, entry);
+        } else {
+          await db.collectionItems.add({ addedAt: Date.now(), ...entry });
+        }
+        counts.items++;
+      }
+    }
+  });
+
+  console.log('📥 Bibliothèque importée:', counts);
+  return counts;
+}
+
+/**
+ * Type Path
+ * @typedef {Object} Path
+ * @property {number} id
+ * @property {string} name - Nom donné par l'utilisateur
+ * @property {Array<{id: string, name: string}>} steps - Entités parcourues
+ * @property {number} createdAt
+ */
+
+/**
+ * Type Collection
+ * @typedef {Object} Collection
+ * @property {number} id
+ * @property {string} name - Nom unique
+ * @property {number} createdAt
+ * @property {Array<CollectionItem>} items
+ */
+
+/**
+ * Type CollectionItem
+ * @typedef {Object} CollectionItem
+ * @property {number} id
+ * @property {number} collectionId
+ * @property {string} entityId - Wikidata ID
+ * @property {string} name
+ * @property {string} description
+ * @property {string} type
+ * @property {Array<string>} tags - En minuscules
+ * @property {string} note
+ * @property {number} addedAt
+ */
@@ -0,0 +1,179 @@
+/**
+ * LINK NOISE
+ *
+ * Règles de filtrage des liens Wikipedia non pertinents (dates, siècles,
+ * pages techniques) propres à chaque langue.
+ * Les espaces de noms sont lus depuis le wiki lui-même (siteinfo),
+ * les mois sont générés par Intl : seuls les mots "siècle" et "liste de"
+ * restent écrits à la main.
+ */
+
+import { fetchJSON, withSignal } from './httpClient.js';
+
+const CENTURY_WORDS = {
+  fr: ['siècle', 'millénaire'],
+  en: ['century', 'millennium'],
+  es: ['siglo', 'milenio'],
+  de: ['jahrhundert', 'jahrtausend'],
+  it: ['secolo', 'millennio'],
+  pt: ['século', 'milénio', 'milênio'],
+  nl: ['eeuw', 'millennium'],
+  pl: ['wiek', 'tysiąclecie'],
+  ja: ['世紀', '千年紀']
+};
+
+const LIST_PREFIXES = {
+  fr: ['Liste de', 'Liste des', 'Liste d\''],
+  en: ['List of', 'Lists of'],
+  es: ['Anexo:', 'Lista de'],
+  de: ['Liste der', 'Liste von', 'Liste des'],
+  it: ['Lista di', 'Lista dei', 'Elenco di'],
+  pt: ['Lista de', 'Anexo:'],
+  nl: ['Lijst van'],
+  pl: ['Lista '],
+  ja: []
+};
+
+// Ordinal d'un siècle : "20th", "XXe", "20.", "XX", "3rd"...
+const ORDINAL = '(?:\\d{1,2}|[ivxlc]{1,7})(?:st|nd|rd|th|e|er|re|ème|ᵉ|\\.|º|°)?';
+// Fin tolérée après un siècle : ère abrégée ("av. J.-C.", "v. Chr.", "p.n.e.") ou BC/AD
+const ERA = '(?:\\s+(?:bc|bce|ad|ce|[^\\s]*\\.[^\\s]*(?:\\s+[^\\s]*\\.[^\\s]*)*))?';
+// Jour (1 à 31) ou année d'une date : "14", "1er", "4.", "1968" ("Mai 68" reste un lien)
+const DAY = '(?:3[01]|[12]\\d|0?[1-9])(?:er|st|nd|rd|th|\\.|º)?';
+const YEAR = '\\d{3,4}';
+
+// Noms canoniques, reconnus par tous les wikis (utilisés si siteinfo échoue)
+const CANONICAL_NAMESPACES = [
+  'Media', 'Special', 'Talk', 'User', 'User talk', 'Wikipedia', 'Wikipedia talk',
+  'File', 'File talk', 'MediaWiki', 'Template', 'Template talk', 'Help',
+  'Category', 'Portal', 'Draft', 'Module', 'Project'
+];
+
+// Noms localisés connus, en complément si siteinfo échoue
+const FALLBACK_NAMESPACES = {
+  fr: ['Aide', 'Modèle', 'Wikipédia', 'Portail', 'Catégorie', 'Fichier', 'Projet', 'Discussion', 'Spécial']
+};
+
+// Règles par langue (promesse partagée : un seul appel siteinfo par wiki)
+const rulesCache = new Map();
+
+/**
+ * Règles de bruit pour une langue
+ * @returns {Promise<LinkNoiseRules>}
+ */
+export function getLinkNoiseRules(lang, signal) {
+  if (!rulesCache.has(lang)) {
+    // Chargement partagé sans signal : l'annulation d'un appelant n'interrompt que son attente
+    const rules = loadRules(lang).catch(error => {
+      // Pas de cache d'un échec : on réessaiera à la prochaine construction
+      rulesCache.delete(lang);
+      console.warn(`Namespaces ${lang} indisponibles, règles par défaut:`, error.message);
+      return buildRules(lang, [...(FALLBACK_NAMESPACES[lang] || []), ...CANONICAL_NAMESPACES]);
+    });
+    rulesCache.set(lang, rules);
+  }
+  return withSignal(rulesCache.get(lang), signal);
+}
+
+async function loadRules(lang) {
+  const params = new URLSearchParams({
+    action: 'query',
+    meta: 'siteinfo',
+    siprop: 'namespaces|namespacealiases',
+    formatversion: 2,
+    format: 'json',
+    origin: '*'
+  });
+
+  const data = await fetchJSON(`https://${lang}.wikipedia.org/w/api.php?${params}`);
+
+  // Tous les espaces de noms sauf l'espace principal (id 0)
+  const names = [];
+  for (const ns of Object.values(data.query?.namespaces || {})) {
+    if (ns.id === 0) continue;
+    names.push(ns.name, ns.canonical);
+  }
+  for (const alias of data.query?.namespacealiases || []) {
+    if (alias.id !== 0) names.push(alias.alias);
+  }
+
+  return buildRules(lang, [...names, ...CANONICAL_NAMESPACES]);
+}
+
+function buildRules(lang, namespaces) {
+  const months = [];
+  try {
+    const format = new Intl.DateTimeFormat(lang, { month: 'long' });
+    for (let m = 0; m < 12; m++) {
+      months.push(format.format(new Date(2000, m, 1)).toLowerCase());
+    }
+  } catch (e) {
+    // Langue inconnue d'Intl : pas de filtre sur les mois
+  }
+
+  return {
+    lang,
+    namespacePrefixes: [...new Set(namespaces.filter(Boolean))].map(name => `${name}:`),
+    listPrefixes: LIST_PREFIXES[lang] || [],
+    centuryPattern: buildCenturyPattern(CENTURY_WORDS[lang] || []),
+    datePattern: buildDatePattern(months)
+  };
+}
+
+/**
+ * Titre qui n'est qu'un siècle : "XXe siècle", "20th century BC", "Siglo XX",
+ * "20. Jahrhundert", "20世紀" (mais pas "20th Century Fox" ni "Człowiek")
+ */
+function buildCenturyPattern(words) {
+  if (words.length === 0) return null;
+  const word = `(?:${words.map(escapeRegExp).join('|')})`;
+  return new RegExp(`^(?:${ORDINAL}[\\s-]*${word}|${word}\\s+${ORDINAL})${ERA}$`, 'iu');
+}
+
+/**
+ * Titre qui n'est qu'une date : "14 juillet", "12 de marzo", "May 1968",
+ * "July 4, 1776" (mais pas "Mars" ni "May" seuls)
+ */
+function buildDatePattern(months) {
+  if (months.length === 0) return null;
+  const month = `(?:${months.map(escapeRegExp).join('|')})`;
+  return new RegExp(
+    `^(?:${DAY}\\s+(?:de\\s+)?${month}(?:,?\\s+(?:de\\s+)?${YEAR})?|${month}\\s+(?:de\\s+)?(?:${DAY}|${YEAR})(?:,\\s*${YEAR})?)$`,
+    'iu'
+  );
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Filtre pour éliminer les liens Wikipedia non pertinents (dates, siècles, etc.)
+ * @param {string} title - Titre du lien
+ * @param {LinkNoiseRules} rules - Règles de la langue du wiki
+ */
+export function isLinkNoise(title, rules) {
+  // Années (ex: "1959", "-500")
+  if (/^-?\d+$/.test(title)) return true;
+
+  if (rules.centuryPattern?.test(title)) return true;
+
+  // Pages techniques et listes
+  if (rules.namespacePrefixes.some(p => title.startsWith(p))) return true;
+  if (rules.listPrefixes.some(p => title.startsWith(p))) return true;
+
+  // Dates : le titre entier est une date ("14 juillet", "July 1969")
+  if (rules.datePattern?.test(title)) return true;
+
+  return false;
+}
+
+/**
+ * Type LinkNoiseRules
+ * @typedef {Object} LinkNoiseRules
+ * @property {string} lang - Langue du wiki
+ * @property {Array<string>} namespacePrefixes - "Catégorie:", "Category:", ...
+ * @property {Array<string>} listPrefixes - "Liste de", "List of", ...
+ * @property {RegExp|null} centuryPattern - Titres qui ne sont qu'un siècle
+ * @property {RegExp|null} datePattern - Titres qui ne sont qu'une date
+ */
@@ -0,0 +1,339 @@
+/**
+ * MUSICBRAINZ
+ *
+ * Enrichissement MusicBrainz d'un artiste (P434) ou d'une œuvre (P435) :
+ * - relations entre artistes (membres d'un groupe, collaborations, professeurs...)
+ * - discographie (release groups) avec type principal et date, par pages
+ * - compositions (works) d'un artiste, compositeurs et paroliers d'une œuvre
+ * Les release groups et works sont rattachés à Wikidata par leur relation
+ * URL "wikidata" dans MusicBrainz ; les artistes liés, dont les URLs ne sont
+ * pas incluses, par leur identifiant MusicBrainz dans Wikidata (SPARQL).
+ * Les éléments reliés deviennent des relations du graphe (origine musicbrainz).
+ */
+
+import { fetchJSON } from './httpClient.js';
+import { runSparqlQuery, bindingItemId } from './incomingRelations.js';
+
+const MUSICBRAINZ_API = 'https://musicbrainz.org/ws/2';
+
+// Taille d'une page de discographie (maximum de l'API)
+export const RELEASE_GROUP_PAGE = 100;
+const MAX_WORKS = 50;
+
+// Identifiant MusicBrainz dans Wikidata, par sorte d'entité MusicBrainz
+const WIKIDATA_PROPERTIES = {
+  artist: 'P434',
+  work: 'P435',
+  'release-group': 'P436'
+};
+
+// Relation d'un point de vue : propriété Wikidata (ou clé de relation), libellé de la fiche et sens de l'edge
+const rel = (key, label, direction = 'outgoing') => key.startsWith('P')
+  ? { property: key, label, direction }
+  : { property: null, type: key, label, direction };
+
+/**
+ * Relations MusicBrainz suivies → relation vue depuis l'entité enrichie
+ * (forward : l'entité est la source de la relation MusicBrainz)
+ */
+const ARTIST_RELATIONS = {
+  'member of band': { forward: rel('P463', 'membre de'), backward: rel('P527', 'membre') },
+  'collaboration': { forward: rel('collaboration', 'collaboration'), backward: rel('collaboration', 'collaboration') },
+  'supporting musician': { forward: rel('supporting_musician', 'accompagne'), backward: rel('supporting_musician', 'accompagné par') },
+  'vocal supporting musician': { forward: rel('supporting_musician', 'accompagne (chant)'), backward: rel('supporting_musician', 'accompagné par (chant)') },
+  'instrumental supporting musician': { forward: rel('supporting_musician', 'accompagne'), backward: rel('supporting_musician', 'accompagné par') },
+  'teacher': { forward: rel('P802', 'professeur de'), backward: rel('P1066', 'élève de') },
+  'married': { forward: rel('P26', 'conjoint'), backward: rel('P26', 'conjoint') },
+  'sibling': { forward: rel('P3373', 'frère ou sœur'), backward: rel('P3373', 'frère ou sœur') },
+  'parent': { forward: rel('P40', 'parent de'), backward: rel('P40', 'enfant de', 'incoming') },
+  'founder': { forward: rel('P112', 'fondateur de', 'incoming'), backward: rel('P112', 'fondé par') },
+  // Depuis une œuvre : l'artiste est la source de la relation
+  'composer': { forward: rel('P86', 'compositeur de', 'incoming'), backward: rel('P86', 'composée par') },
+  'lyricist': { forward: rel('P676', 'parolier de', 'incoming'), backward: rel('P676', 'paroles de') },
+  'writer': { forward: rel('writer', 'auteur de', 'incoming'), backward: rel('writer', 'écrite par') }
+};
+
+// Rôle de l'artiste dans une de ses œuvres, par priorité (les autres rôles gardent leur type MusicBrainz)
+const WORK_ROLES = ['composer', 'lyricist', 'writer'];
+
+// Groupes de la discographie affichée
+export const DISCOGRAPHY_GROUPS = {
+  album: 'Albums',
+  single: 'Singles et EP',
+  live: 'Live',
+  other: 'Autres'
+};
+
+/**
+ * ENRICHISSEMENT MUSICBRAINZ (artistes et œuvres)
+ * @returns {Promise<MusicBrainzPayload>}
+ */
+export async function enrichFromMusicBrainz(entity, { signal }) {
+  const artistId = entity.identifiers.musicbrainz;
+  return artistId
+    ? enrichArtist(artistId, signal)
+    : enrichWork(entity.identifiers.musicbrainz_work, signal);
+}
+
+async function enrichArtist(mbid, signal) {
+  // L'hôte est limité à 1 requête/s : la file de httpClient les espace
+  const [artist, discography, works] = await Promise.all([
+    fetchMusicBrainz(`/artist/${mbid}`, { inc: 'artist-rels' }, signal),
+    fetchReleaseGroups(mbid, 0, signal),
+    fetchMusicBrainz('/work', { artist: mbid, inc: 'artist-rels url-rels', limit: MAX_WORKS }, signal)
+  ]);
+
+  const relations = readArtistRelations(artist.relations);
+  await mapToWikidata(relations, signal);
+
+  const payload = {
+    kind: 'artist',
+    mbid,
+    name: artist.name,
+    type: artist.type,
+    disambiguation: artist.disambiguation || null,
+    relations,
+    works: (works.works || []).map(work => ({
+      mbid: work.id,
+      title: work.title,
+      type: work.type || null,
+      ...readWorkRole(work.relations, mbid),
+      qid: wikidataUrlId(work.relations)
+    })),
+    releaseGroups: discography.releaseGroups,
+    releaseGroupCount: discography.count
+  };
+
+  console.log(`🎵 MusicBrainz ${artist.name} : ${relations.length} relations, ${payload.works.length} œuvres, ${discography.count} parutions`);
+  return payload;
+}
+
+async function enrichWork(mbid, signal) {
+  const work = await fetchMusicBrainz(`/work/${mbid}`, { inc: 'artist-rels url-rels' }, signal);
+
+  const relations = readArtistRelations(work.relations);
+  await mapToWikidata(relations, signal);
+
+  console.log(`🎵 MusicBrainz œuvre ${work.title} : ${relations.length} relations`);
+
+  return {
+    kind: 'work',
+    mbid,
+    name: work.title,
+    type: work.type || null,
+    disambiguation: work.disambiguation || null,
+    relations,
+    works: [],
+    releaseGroups: [],
+    releaseGroupCount: 0
+  };
+}
+
+/**
+ * Une page de la discographie d'un artiste (release groups)
+ * @param {string} mbid - Artiste MusicBrainz
+ * @param {number} offset - Position de la page
+ * @returns {Promise<{releaseGroups: Array<ReleaseGroup>, count: number}>}
+ */
+export async function fetchReleaseGroups(mbid, offset = 0, signal) {
+  const data = await fetchMusicBrainz('/release-group', {
+    artist: mbid,
+    inc: 'url-rels',
+    limit: RELEASE_GROUP_PAGE,
+    offset
+  }, signal);
+
+  return {
+    releaseGroups: (data['release-groups'] || []).map(group => ({
+      mbid: group.id,
+      title: group.title,
+      primaryType: group['primary-type'] || null,
+      secondaryTypes: group['secondary-types'] || [],
+      date: group['first-release-date'] || null,
+      qid: wikidataUrlId(group.relations)
+    })),
+    count: data['release-group-count'] ?? 0
+  };
+}
+
+/**
+ * Discographie groupée (albums, singles et EP, live, autres), chaque groupe par date
+ * @param {Array<ReleaseGroup>} releaseGroups
+ * @returns {Object<string, Array<ReleaseGroup>>} Clés de DISCOGRAPHY_GROUPS
+ */
+export function groupReleaseGroups(releaseGroups = []) {
+  const groups = Object.fromEntries(Object.keys(DISCOGRAPHY_GROUPS).map(key => [key, []]));
+
+  for (const group of releaseGroups) {
+    groups[discographyGroup(group)].push(group);
+  }
+
+  for (const list of Object.values(groups)) {
+    list.sort((a, b) => (a.date || '9999').localeCompare(b.date || '9999'));
+  }
+  return groups;
+}
+
+function discographyGroup({ primaryType, secondaryTypes }) {
+  if (secondaryTypes.includes('Live')) return 'live';
+  if (secondaryTypes.length > 0) return 'other';
+  if (primaryType === 'Album') return 'album';
+  if (primaryType === 'Single' || primaryType === 'EP') return 'single';
+  return 'other';
+}
+
+function fetchMusicBrainz(path, params, signal) {
+  const query = new URLSearchParams({ ...params, fmt: 'json' });
+  return fetchJSON(`${MUSICBRAINZ_API}${path}?${query}`, { signal });
+}
+
+/**
+ * Relations suivies vers d'autres artistes (relations en cours ou passées)
+ * @returns {Array<MusicBrainzRelation>}
+ */
+function readArtistRelations(relations = []) {
+  return relations
+    .filter(relation => relation['target-type'] === 'artist' && ARTIST_RELATIONS[relation.type])
+    .map(relation => ({
+      mbid: relation.artist.id,
+      kind: 'artist',
+      name: relation.artist.name,
+      mbType: relation.type,
+      ...ARTIST_RELATIONS[relation.type][relation.direction === 'backward' ? 'backward' : 'forward'],
+      attributes: relation.attributes || [],
+      qualifiers: toQualifiers(relation.begin, relation.end),
+      qid: null
+    }));
+}
+
+/**
+ * Rôle de l'artiste dans une œuvre parcourue (/work?artist=) :
+ * compositeur, parolier, auteur, sinon son autre rôle (arranger...)
+ * @returns {{role: string|null, roleLabel: string|null, property: string|null, relationType: string|null}}
+ */
+function readWorkRole(relations = [], artistId) {
+  const roles = relations
+    .filter(relation => relation['target-type'] === 'artist' && relation.artist?.id === artistId)
+    .map(relation => relation.type);
+  const role = WORK_ROLES.find(type => roles.includes(type)) || roles[0] || null;
+  if (!role) return { role: null, roleLabel: null, property: null, relationType: null };
+
+  const relation = ARTIST_RELATIONS[role]?.forward;
+  return {
+    role,
+    roleLabel: relation?.label || role,
+    property: relation?.property || null,
+    relationType: relation?.property ? null : (relation?.type || role.replace(/\W+/g, '_'))
+  };
+}
+
+/**
+ * QID de la relation URL "wikidata" d'une entité MusicBrainz
+ */
+function wikidataUrlId(relations = []) {
+  const url = relations.find(relation => relation.type === 'wikidata')?.url?.resource;
+  return url?.match(/\/(Q\d+)$/)?.[1] || null;
+}
+
+/**
+ * Dates MusicBrainz ("1955", "1955-03", "1955-03-12") → qualificatifs au format
+ * Wikidata ({ time, precision }), lus par la chronologie
+ */
+function toQualifiers(begin, end) {
+  const qualifiers = {};
+  if (toTime(begin)) qualifiers.start = toTime(begin);
+  if (toTime(end)) qualifiers.end = toTime(end);
+  return Object.keys(qualifiers).length > 0 ? qualifiers : null;
+}
+
+function toTime(date) {
+  const match = /^(\d{4})(?:-(\d\d))?(?:-(\d\d))?$/.exec(date || '');
+  if (!match) return null;
+
+  const [, year, month = '00', day = '00'] = match;
+  return {
+    time: `+${year}-${month}-${day}T00:00:00Z`,
+    precision: match[3] ? 11 : match[2] ? 10 : 9
+  };
+}
+
+/**
+ * Ajoute le QID des artistes liés d'après leur identifiant MusicBrainz
+ * dans Wikidata (une requête SPARQL par sorte d'entité)
+ */
+async function mapToWikidata(relations, signal) {
+  const kinds = [...new Set(relations.map(relation => relation.kind))];
+
+  await Promise.all(kinds.map(async kind => {
+    const ids = [...new Set(relations.filter(relation => relation.kind === kind).map(relation => relation.mbid))];
+    const query = `SELECT ?item ?id WHERE {
+  VALUES ?id { ${ids.map(id => JSON.stringify(id)).join(' ')} }
+  ?item wdt:${WIKIDATA_PROPERTIES[kind]} ?id .
+}`;
+
+    try {
+      const bindings = await runSparqlQuery(query, signal);
+      const items = new Map(bindings.map(binding => [binding.id?.value, bindingItemId(binding.item)]));
+      for (const relation of relations) {
+        if (relation.kind === kind) relation.qid = items.get(relation.mbid) || null;
+      }
+    } catch (error) {
+      signal?.throwIfAborted();
+      console.warn('Éléments Wikidata des artistes MusicBrainz indisponibles:', error.message);
+    }
+  }));
+}
+
+/**
+ * Type MusicBrainzPayload
+ * @typedef {Object} MusicBrainzPayload
+ * @property {string} kind - artist | work
+ * @property {string} mbid
+ * @property {string} name
+ * @property {string|null} type - Person, Group... ou type d'œuvre (Song...)
+ * @property {string|null} disambiguation
+ * @property {Array<MusicBrainzRelation>} relations - Artistes liés
+ * @property {Array<MusicBrainzWork>} works - Œuvres d'un artiste
+ * @property {Array<ReleaseGroup>} releaseGroups - Première page de la discographie
+ * @property {number} releaseGroupCount - Taille totale de la discographie
+ */
+
+/**
+ * Type MusicBrainzRelation
+ * @typedef {Object} MusicBrainzRelation
+ * @property {string} mbid
+ * @property {string} kind - Sorte d'entité MusicBrainz liée (artist)
+ * @property {string} name
+ * @property {string} mbType - Type de relation MusicBrainz (member of band...)
+ * @property {string} label - Libellé de la relation vue depuis l'entité
+ * @property {string|null} property - Propriété Wikidata équivalente
+ * @property {string} [type] - Clé de relation sans propriété équivalente
+ * @property {string} direction - outgoing (l'entité porte la relation) | incoming
+ * @property {Array<string>} attributes - Instruments, rôles...
+ * @property {Object|null} qualifiers - { start, end } au format Wikidata
+ * @property {string|null} qid
+ */
+
+/**
+ * Type MusicBrainzWork
+ * @typedef {Object} MusicBrainzWork
+ * @property {string} mbid
+ * @property {string} title
+ * @property {string|null} type - Type d'œuvre (Song...)
+ * @property {string|null} role - Relation MusicBrainz de l'artiste (composer, lyricist...)
+ * @property {string|null} roleLabel - Libellé du rôle pour la fiche
+ * @property {string|null} property - Propriété Wikidata équivalente (P86, P676)
+ * @property {string|null} relationType - Clé de relation sans propriété équivalente
+ * @property {string|null} qid
+ */
+
+/**
+ * Type ReleaseGroup
+ * @typedef {Object} ReleaseGroup
+ * @property {string} mbid
+ * @property {string} title
+ * @property {string|null} primaryType - Album, Single, EP...
+ * @property {Array<string>} secondaryTypes - Live, Compilation...
+ * @property {string|null} date - Première parution
+ * @property {string|null} qid
+ */
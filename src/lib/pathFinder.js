@@ -0,0 +1,277 @@
+/**
+ * PATH FINDER ("six degrés")
+ *
+ * Cherche les plus courts chemins entre deux entités par un BFS bidirectionnel
+ * sur les mêmes voisinages que le graphe (relations Wikidata + liens Wikipedia
+ * d'extractConnectedEntities). Les deux côtés avancent chacun leur tour
+ * (la plus petite frontière d'abord) jusqu'à se rencontrer.
+ * La profondeur totale et le nombre d'entités résolues sont bornés.
+ * Les nœuds sont résolus sans les enrichers externes (MusicBrainz, Commons,
+ * TMDB...) : le BFS n'a besoin que des claims Wikidata et des liens Wikipedia.
+ */
+
+import {
+  extractConnectedEntities, unifyConnectedEntities, prefetchLinkItems,
+  resolveConnectedEntities, translateGraph
+} from './graphBuilder.js';
+import { getLanguage } from './entityResolver.js';
+import { getLinkNoiseRules } from './linkNoise.js';
+
+// Nombre max de chemins de même longueur retournés
+const MAX_PATHS = 5;
+
+// Enrichers utiles au voisinage (les claims Wikidata viennent de la résolution elle-même)
+const PATH_ENRICHERS = { only: ['wikipedia'] };
+
+/**
+ * Cherche les plus courts chemins entre deux entités résolues
+ * @param {Entity} entityA - Départ
+ * @param {Entity} entityB - Arrivée
+ * @param {Object} options
+ * @param {number} options.maxDepth - Nombre max de sauts du chemin (défaut 4)
+ * @param {number} options.maxResolved - Nombre max d'entités résolues pendant la recherche (défaut 150)
+ * @param {number} options.minScore - Score minimal d'une relation suivie (défaut 2, comme le graphe)
+ * @param {number} options.concurrency - Résolutions simultanées (défaut 5)
+ * @param {Function} options.onProgress - Reçoit { depthA, depthB, resolved, explored }
+ * @param {AbortSignal} options.signal - Annule la recherche
+ * @returns {Promise<PathResult>}
+ */
+export async function findPaths(entityA, entityB, options = {}) {
+  const { maxDepth = 4, maxResolved = 150, minScore = 2, concurrency = 5, onProgress = null, signal } = options;
+
+  const noiseRules = await getLinkNoiseRules(getLanguage(), signal);
+
+  // Un lien wiki:Titre et le QID de son article désignent le même nœud
+  // (unifyConnectedEntities les fusionne déjà ; restent les titres résolus ensuite)
+  const aliases = new Map();
+  const canonical = id => aliases.get(id) || id;
+  const labels = new Map();
+
+  const registerEntity = (entity, nodeId = entity.id) => {
+    labels.set(entity.id, entity.name);
+    if (nodeId !== entity.id) aliases.set(nodeId, entity.id);
+    if (entity.sources.wikipedia?.title) aliases.set(`wiki:${entity.sources.wikipedia.title}`, entity.id);
+  };
+
+  const createSide = entity => {
+    registerEntity(entity);
+    return {
+      root: entity.id,
+      depth: 0,
+      parents: new Map([[entity.id, null]]), // id → { prev, relation } (null pour la racine)
+      resolved: new Set([entity.id]),
+      frontier: [{ id: entity.id, entity }]
+    };
+  };
+
+  const sideA = createSide(entityA);
+  const sideB = createSide(entityB);
+  const meetings = new Set(entityA.id === entityB.id ? [entityA.id] : []);
+
+  let resolved = 0;
+  let truncated = false;
+
+  const emit = () => {
+    if (onProgress) {
+      onProgress({
+        depthA: sideA.depth,
+        depthB: sideB.depth,
+        resolved,
+        explored: sideA.parents.size + sideB.parents.size
+      });
+    }
+  };
+
+  while (meetings.size === 0 && sideA.depth + sideB.depth < maxDepth) {
+    if (sideA.frontier.length === 0 || sideB.frontier.length === 0) break;
+
+    // La plus petite frontière avance ; à égalité, le côté le moins profond
+    const side = (sideA.frontier.length - sideB.frontier.length || sideA.depth - sideB.depth) <= 0 ? sideA : sideB;
+    const other = side === sideA ? sideB : sideA;
+
+    // 1. Voisins de toute la frontière de ce côté
+    const discovered = [];
+
+    const neighbourhoods = side.frontier.map(({ entity }) =>
+      extractConnectedEntities(entity, noiseRules).filter(relation => relation.score >= minScore)
+    );
+    await prefetchLinkItems(neighbourhoods.flat(), signal);
+
+    for (const [index, { id }] of side.frontier.entries()) {
+      for (const relation of await unifyConnectedEntities(neighbourhoods[index], signal)) {
+        const neighbourId = canonical(relation.id);
+        if (neighbourId === id || side.parents.has(neighbourId)) continue;
+
+        side.parents.set(neighbourId, { prev: id, relation });
+        if (!labels.has(neighbourId)) labels.set(neighbourId, relation.label);
+        discovered.push(neighbourId);
+
+        if (other.parents.has(neighbourId)) meetings.add(neighbourId);
+      }
+    }
+
+    side.depth++;
+    emit();
+
+    if (meetings.size > 0 || sideA.depth + sideB.depth >= maxDepth) break;
+
+    // 2. Résolution des nouveaux nœuds : frontière suivante de ce côté
+    const budget = Math.max(0, maxResolved - resolved);
+    const toResolve = discovered.filter(id => !side.resolved.has(id)).slice(0, budget);
+    if (toResolve.length < discovered.length) truncated = true;
+    resolved += toResolve.length;
+
+    side.frontier = [];
+    await resolveConnectedEntities(
+      toResolve,
+      concurrency,
+      (nodeId, entity) => {
+        registerEntity(entity, nodeId);
+
+        // wiki:Titre résolu : son QID hérite du même parent
+        if (!side.parents.has(entity.id)) {
+          side.parents.set(entity.id, side.parents.get(nodeId));
+          if (other.parents.has(entity.id)) meetings.add(entity.id);
+        }
+
+        if (side.resolved.has(entity.id)) return;
+        side.resolved.add(entity.id);
+        side.frontier.push({ id: entity.id, entity });
+      },
+      signal,
+      { enrichers: PATH_ENRICHERS }
+    );
+    signal?.throwIfAborted();
+    emit();
+
+    if (resolved >= maxResolved) {
+      truncated = true;
+      break;
+    }
+  }
+
+  const chains = [...meetings]
+    .map(meeting => {
+      const towardsA = walk(sideA, meeting);
+      const towardsB = walk(sideB, meeting);
+      return {
+        ids: [...towardsA.map(step => step.id).reverse(), ...towardsB.slice(1).map(step => step.id)],
+        links: [...towardsA, ...towardsB].map(step => step.link).filter(Boolean)
+      };
+    })
+    .sort((a, b) => a.ids.length - b.ids.length);
+
+  const shortest = chains.filter(chain => chain.ids.length === chains[0].ids.length).slice(0, MAX_PATHS);
+
+  console.log(`🔗 ${entityA.name} → ${entityB.name} : ${shortest.length} chemin(s), ${resolved} résolutions`);
+
+  const result = buildPathGraph(shortest, labels, { entityA, entityB });
+  await translateGraph(
+    result.graph.nodes.filter(node => !node.isCenter),
+    result.graph.edges,
+    signal
+  );
+
+  return {
+    ...result,
+    resolved,
+    truncated: truncated && shortest.length === 0,
+    explored: sideA.parents.size + sideB.parents.size
+  };
+}
+
+/**
+ * Remonte les parents d'un côté depuis un nœud jusqu'à la racine
+ * @returns {Array<{id: string, link: Object|null}>} [nœud, ..., racine]
+ */
+function walk(side, fromId) {
+  const chain = [];
+  let id = fromId;
+
+  while (id !== undefined) {
+    const parent = side.parents.get(id);
+    chain.push({ id, link: parent ? { ...parent, to: id } : null });
+    id = parent?.prev;
+  }
+
+  return chain;
+}
+
+/**
+ * Graphe des chemins trouvés : nœuds et edges mis en évidence,
+ * chaque saut gardant le sens de la relation (celui qui porte le claim)
+ */
+function buildPathGraph(chains, labels, { entityA, entityB }) {
+  const nodes = new Map();
+  const edges = new Map();
+  const paths = [];
+
+  for (const chain of chains) {
+    const pathNodes = [];
+    const hops = [];
+
+    chain.ids.forEach((id, index) => {
+      if (!nodes.has(id)) {
+        const endpoint = id === entityA.id ? entityA : id === entityB.id ? entityB : null;
+        nodes.set(id, {
+          id,
+          label: labels.get(id) || id,
+          type: endpoint?.type || chain.links.find(link => link.to === id)?.relation.type || 'entity',
+          entityType: endpoint?.type,
+          level: index,
+          isCenter: Boolean(endpoint),
+          onPath: true,
+          thumbnail: endpoint?.sources.wikipedia?.thumbnail
+        });
+      }
+      pathNodes.push(nodes.get(id));
+    });
+
+    // Les liens côté A pointent vers B, ceux côté B vers A : chacun part du nœud qui porte la relation
+    // (une relation entrante est portée par le voisin, comme dans graphBuilder)
+    for (const link of chain.links) {
+      const [source, target] = link.relation.direction === 'incoming'
+        ? [link.to, link.prev]
+        : [link.prev, link.to];
+      const key = `${source}|${target}`;
+      if (!edges.has(key)) {
+        edges.set(key, {
+          source,
+          target,
+          type: link.relation.type,
+          origin: link.relation.source,
+          value: link.relation.score,
+          property: link.relation.property || null,
+          rank: link.relation.rank || null,
+          qualifiers: link.relation.qualifiers || null,
+          origins: link.relation.origins || [link.relation.source],
+          types: link.relation.types || [link.relation.type],
+          highlighted: true
+        });
+      }
+    }
+
+    for (let i = 0; i < pathNodes.length - 1; i++) {
+      const a = pathNodes[i].id;
+      const b = pathNodes[i + 1].id;
+      hops.push(edges.get(`${a}|${b}`) || edges.get(`${b}|${a}`));
+    }
+
+    paths.push({ nodes: pathNodes, hops });
+  }
+
+  return {
+    paths,
+    graph: { nodes: [...nodes.values()], edges: [...edges.values()] }
+  };
+}
+
+/**
+ * Type PathResult
+ * @typedef {Object} PathResult
+ * @property {Array<{nodes: Array<Node>, hops: Array<Edge>}>} paths - Plus courts chemins (hops[i] relie nodes[i] et nodes[i+1])
+ * @property {Graph} graph - Union des chemins, prête pour NeuralGraph (edges highlighted)
+ * @property {number} resolved - Entités résolues pendant la recherche
+ * @property {number} explored - Nœuds découverts des deux côtés
+ * @property {boolean} truncated - Limite d'entités résolues atteinte sans chemin trouvé
+ */
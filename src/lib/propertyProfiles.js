@@ -0,0 +1,177 @@
+/**
+ * PROPERTY PROFILES
+ *
+ * Propriétés Wikidata suivies pour construire le graphe, selon le type
+ * de l'entité (un musicien n'a pas les mêmes relations qu'un film).
+ * Les profils sont modifiables via configurePropertyProfile().
+ */
+
+import { fetchJSON } from './httpClient.js';
+import { pickLocalized } from './languages.js';
+
+/**
+ * Propriété → clé de relation stable (utilisée comme edge.type)
+ * Le libellé affiché vient de Wikidata, dans la langue courante.
+ */
+export const RELATION_KEYS = {
+  'P31': 'type',                   // nature de l'élément
+  'P279': 'subclass_of',           // sous-classe de
+  'P361': 'part_of',               // partie de
+  'P527': 'has_part',              // comprend
+  'P106': 'occupation',            // occupation
+  'P800': 'notable_work',          // œuvre notable
+  'P136': 'genre',                 // genre
+  'P101': 'field_of_work',         // domaine d'activité
+  'P737': 'influenced_by',         // influencé par
+  'P463': 'member_of',             // membre de
+  'P1303': 'instrument',           // instrument
+  'P264': 'record_label',          // label discographique
+  'P19': 'place_of_birth',         // lieu de naissance
+  'P20': 'place_of_death',         // lieu de mort
+  'P27': 'citizenship',            // nationalité
+  'P69': 'educated_at',            // établissement d'enseignement
+  'P108': 'employer',              // employeur
+  'P1066': 'student_of',           // élève de
+  'P802': 'student',               // élève
+  'P26': 'spouse',                 // conjoint
+  'P22': 'father',                 // père
+  'P25': 'mother',                 // mère
+  'P40': 'child',                  // enfant
+  'P3373': 'sibling',              // frère ou sœur
+  'P166': 'award',                 // distinction
+  'P175': 'performer',             // interprète
+  'P86': 'composer',               // compositeur
+  'P676': 'lyricist',              // parolier
+  'P162': 'producer',              // producteur
+  'P161': 'cast_member',           // distribution
+  'P57': 'director',               // réalisateur
+  'P58': 'screenwriter',           // scénariste
+  'P272': 'production_company',    // société de production
+  'P449': 'original_broadcaster',  // diffuseur original
+  'P495': 'country_of_origin',     // pays d'origine
+  'P50': 'author',                 // auteur
+  'P123': 'publisher',             // éditeur
+  'P921': 'main_subject',          // sujet principal
+  'P144': 'based_on',              // basé sur
+  'P155': 'follows',               // précédé par
+  'P156': 'followed_by',           // suivi par
+  'P170': 'creator',               // créateur
+  'P135': 'movement',              // mouvement
+  'P180': 'depicts',               // représente
+  'P195': 'collection',            // collection
+  'P276': 'location',              // lieu
+  'P17': 'country',                // pays
+  'P131': 'located_in',            // localisation administrative
+  'P36': 'capital',                // capitale
+  'P47': 'shares_border_with',     // frontalier de
+  'P206': 'located_next_to_water', // au bord de
+  'P138': 'named_after',           // nommé d'après
+  'P159': 'headquarters',          // siège
+  'P112': 'founded_by',            // fondateur
+  'P488': 'chairperson',           // président
+  'P452': 'industry',              // secteur d'activité
+  'P749': 'parent_organization',   // organisation mère
+  'P740': 'formation_location',    // lieu de fondation
+  'P710': 'participant',           // participant
+  'P1542': 'has_effect',           // a pour conséquence
+  'P828': 'has_cause',             // a pour cause
+  'P171': 'parent_taxon',          // taxon supérieur
+  'P1535': 'used_by',              // utilisé par
+  'P2184': 'history_of_topic'      // histoire du sujet
+};
+
+/**
+ * Propriétés suivies par type d'entité (ordre = priorité)
+ * "common" s'ajoute à tous les profils, "entity" sert de repli.
+ */
+export const PROPERTY_PROFILES = {
+  common: ['P31', 'P361', 'P138'],
+  person: ['P106', 'P800', 'P136', 'P101', 'P737', 'P463', 'P1303', 'P264', 'P19', 'P20',
+           'P27', 'P69', 'P108', 'P1066', 'P802', 'P26', 'P22', 'P25', 'P40', 'P166'],
+  group: ['P527', 'P136', 'P264', 'P463', 'P740', 'P737', 'P495', 'P166'],
+  musical_work: ['P175', 'P86', 'P676', 'P162', 'P264', 'P136', 'P155', 'P156'],
+  film: ['P57', 'P161', 'P58', 'P86', 'P162', 'P272', 'P136', 'P144', 'P495', 'P155', 'P156'],
+  series: ['P161', 'P57', 'P58', 'P86', 'P162', 'P449', 'P272', 'P136', 'P144', 'P495'],
+  book: ['P50', 'P123', 'P136', 'P921', 'P144', 'P155', 'P156', 'P495'],
+  artwork: ['P170', 'P135', 'P180', 'P136', 'P195', 'P276', 'P144'],
+  place: ['P17', 'P131', 'P36', 'P47', 'P206', 'P527'],
+  organisation: ['P159', 'P112', 'P488', 'P452', 'P749', 'P527', 'P17', 'P463'],
+  event: ['P276', 'P17', 'P710', 'P828', 'P1542', 'P527'],
+  taxon: ['P171', 'P527'],
+  concept: ['P279', 'P527', 'P737', 'P1535', 'P2184', 'P136', 'P101'],
+  entity: ['P106', 'P800', 'P136', 'P101', 'P737', 'P175', 'P161', 'P57', 'P279']
+};
+
+/**
+ * Qualificatifs conservés sur les edges
+ */
+export const QUALIFIER_KEYS = {
+  'P580': 'start',        // date de début
+  'P582': 'end',          // date de fin
+  'P585': 'pointInTime',  // date
+  'P2868': 'role',        // rôle du sujet
+  'P3831': 'role',        // rôle de l'objet
+  'P453': 'role'          // rôle (personnage joué)
+};
+
+/**
+ * Remplace les propriétés suivies pour un type d'entité
+ * @param {string} type - Type d'entité (person, film...) ou "common"
+ * @param {Array<string>} properties - Liste de PIDs ("P463"...)
+ */
+export function configurePropertyProfile(type, properties) {
+  PROPERTY_PROFILES[type] = [...properties];
+}
+
+/**
+ * Propriétés à suivre pour un type (profil du type + communes, sans doublon)
+ */
+export function getPropertyProfile(type) {
+  const profile = PROPERTY_PROFILES[type] || PROPERTY_PROFILES.entity;
+  return [...new Set([...profile, ...PROPERTY_PROFILES.common])];
+}
+
+/**
+ * Clé de relation d'une propriété (le PID si inconnue)
+ */
+export function getRelationKey(property) {
+  return RELATION_KEYS[property] || property;
+}
+
+// Libellés par langue : Map<lang, Map<PID, label>>
+const labelCache = new Map();
+
+/**
+ * Libellés des propriétés dans la langue demandée (avec chaîne de repli)
+ * @returns {Promise<Object>} { [PID]: label }
+ */
+export async function fetchPropertyLabels(properties, lang, signal) {
+  if (!labelCache.has(lang)) labelCache.set(lang, new Map());
+  const cache = labelCache.get(lang);
+
+  const missing = [...new Set(properties)].filter(pid => !cache.has(pid));
+
+  for (let i = 0; i < missing.length; i += 50) {
+    const chunk = missing.slice(i, i + 50);
+    const params = new URLSearchParams({
+      action: 'wbgetentities',
+      ids: chunk.join('|'),
+      props: 'labels',
+      format: 'json',
+      origin: '*'
+    });
+
+    try {
+      const data = await fetchJSON(`https://www.wikidata.org/w/api.php?${params}`, { signal });
+      for (const pid of chunk) {
+        const label = pickLocalized(data.entities?.[pid]?.labels, lang);
+        if (label) cache.set(pid, label);
+      }
+    } catch (error) {
+      signal?.throwIfAborted();
+      console.warn('Libellés de propriétés indisponibles:', error.message);
+    }
+  }
+
+  return Object.fromEntries(properties.map(pid => [pid, cache.get(pid) || getRelationKey(pid)]));
+}
@@ -0,0 +1,112 @@
+/**
+ * ROUTER
+ *
+ * Routes dans le hash de l'URL, par exemple #/entity/Q105858?lang=fr&depth=2 :
+ * une entité se recharge et se partage, et le bouton retour du navigateur
+ * suit la navigation dans l'app. Chaque entrée de l'historique du navigateur
+ * garde le breadcrumb (history.state.steps) pour le restaurer tel quel.
+ * Les paramètres autres que lang et depth sont les filtres du graphe.
+ */
+
+const ROUTE_PATTERN = /^#\/entity\/(Q\d+)(?:\?(.*))?$/;
+const RESERVED_PARAMS = ['lang', 'depth'];
+const MAX_DEPTH = 3;
+// Code de langue d'un wiki (sert de sous-domaine : fr, en, zh-yue...)
+const LANG_PATTERN = /^[a-z]{2,3}(-[a-z]+)*$/;
+
+/**
+ * Lit une route depuis un hash d'URL
+ * @param {string} hash - Par défaut celui de la page
+ * @returns {Route|null} null si le hash ne désigne pas une entité
+ */
+export function parseRoute(hash = window.location.hash) {
+  const match = ROUTE_PATTERN.exec(hash);
+  if (!match) return null;
+
+  const params = new URLSearchParams(match[2] || '');
+  const depth = parseInt(params.get('depth'), 10);
+  const lang = params.get('lang');
+
+  const filters = {};
+  for (const [key, value] of params) {
+    if (!RESERVED_PARAMS.includes(key) && value) filters[key] = value.split(',');
+  }
+
+  return {
+    id: match[1],
+    lang: LANG_PATTERN.test(lang || '') ? lang : null,
+    depth: depth >= 1 && depth <= MAX_DEPTH ? depth : null,
+    filters
+  };
+}
+
+/**
+ * Hash d'URL d'une route (les filtres vides sont omis)
+ * @param {Route} route
+ * @returns {string}
+ */
+export function formatRoute({ id, lang = null, depth = null, filters = {} }) {
+  const params = new URLSearchParams();
+  if (lang) params.set('lang', lang);
+  if (depth) params.set('depth', depth);
+
+  for (const [key, values] of Object.entries(filters)) {
+    const list = [].concat(values).filter(value => value !== '' && value !== null && value !== undefined);
+    if (list.length > 0) params.set(key, list.join(','));
+  }
+
+  const query = params.toString();
+  return `#/entity/${id}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Nouvelle entrée dans l'historique du navigateur
+ * (remplace l'entrée courante si l'URL est identique)
+ * @param {Route} route
+ * @param {Array<{id: string, name: string}>} steps - Breadcrumb à restaurer sur retour
+ */
+export function pushRoute(route, steps) {
+  const url = formatRoute(route);
+  const method = url === window.location.hash ? 'replaceState' : 'pushState';
+  window.history[method]({ steps: snapshotSteps(steps) }, '', url);
+}
+
+/**
+ * Met à jour l'entrée courante (changement de langue, de profondeur, de filtres)
+ */
+export function replaceRoute(route, steps) {
+  window.history.replaceState({ steps: snapshotSteps(steps) }, '', formatRoute(route));
+}
+
+/**
+ * Breadcrumb enregistré dans l'entrée courante de l'historique
+ * @returns {Array<{id: string, name: string}>|null}
+ */
+export function getRouteSteps() {
+  return window.history.state?.steps || null;
+}
+
+/**
+ * Appelle callback(route, steps) à chaque retour / avance du navigateur
+ * et à chaque modification manuelle du hash
+ * @returns {Function} Désabonnement
+ */
+export function onRouteChange(callback) {
+  const handler = () => callback(parseRoute(), getRouteSteps());
+  window.addEventListener('popstate', handler);
+  return () => window.removeEventListener('popstate', handler);
+}
+
+// history.state doit être clonable : seules les données du breadcrumb sont gardées
+function snapshotSteps(steps = []) {
+  return steps.map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Type Route
+ * @typedef {Object} Route
+ * @property {string} id - QID de l'entité affichée
+ * @property {string|null} lang - Langue des wikis
+ * @property {number|null} depth - Profondeur du graphe (1 à 3)
+ * @property {Object<string, Array<string>>} filters - Filtres actifs du graphe
+ */
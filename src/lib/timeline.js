@@ -0,0 +1,250 @@
+/**
+ * TIMELINE
+ *
+ * Place l'entité courante et les nœuds du graphe sur un axe du temps
+ * à partir des dates Wikidata : vie (P569/P570), existence (P571/P576),
+ * activité (P2031/P2032), publication (P577)... et des qualificatifs
+ * de début / fin portés par les relations du graphe.
+ * La précision Wikidata (jour → millénaire) et les dates avant J.-C.
+ * sont respectées : une date "années 1890" couvre toute la décennie.
+ */
+
+import { getLanguage, fetchWikidataEntities } from './entityResolver.js';
+
+// Intervalles : [début, fin, libellé] (le premier couple présent l'emporte)
+const SPAN_PROPERTIES = [
+  ['P569', 'P570', 'vie'],
+  ['P571', 'P576', 'existence'],
+  ['P2031', 'P2032', 'activité'],
+  ['P580', 'P582', 'période']
+];
+
+// Dates ponctuelles, par ordre de préférence
+const POINT_PROPERTIES = {
+  P577: 'publication',
+  P1191: 'première représentation',
+  P585: 'date',
+  P571: 'création',
+  P569: 'naissance',
+  P580: 'début'
+};
+
+// Précisions Wikidata
+const PRECISION = { MILLENNIUM: 6, CENTURY: 7, DECADE: 8, YEAR: 9, MONTH: 10, DAY: 11 };
+
+/**
+ * Lit une valeur de temps Wikidata ({ time: "+1897-05-14T00:00:00Z", precision })
+ * Les années sont historiques (-500 = 500 av. J.-C., pas d'an 0)
+ * @returns {TimePoint|null} null pour les dates géologiques (précision < millénaire)
+ */
+export function parseWikidataTime(value) {
+  const match = /^([+-])(\d+)-(\d\d)-(\d\d)T/.exec(value?.time || '');
+  if (!match) return null;
+
+  const precision = value.precision ?? PRECISION.DAY;
+  if (precision < PRECISION.MILLENNIUM) return null;
+
+  const year = (match[1] === '-' ? -1 : 1) * parseInt(match[2], 10);
+  if (year === 0) return null;
+
+  const month = Math.max(1, parseInt(match[3], 10));
+  const day = Math.max(1, parseInt(match[4], 10));
+  const [from, to] = getInterval(year, month, day, precision);
+
+  return { year, month, day, precision, from, to, label: formatTime(year, month, day, precision) };
+}
+
+/**
+ * Intervalle [début, fin[ couvert par une date selon sa précision
+ */
+function getInterval(year, month, day, precision) {
+  if (precision >= PRECISION.DAY) {
+    const from = utcDate(year, month, day);
+    return [from, new Date(from.getTime() + 86400000)];
+  }
+  if (precision === PRECISION.MONTH) {
+    return [utcDate(year, month, 1), utcDate(month === 12 ? year + 1 || 1 : year, month % 12 + 1, 1)];
+  }
+
+  // Année, décennie, siècle, millénaire : plage d'années historiques [first, last]
+  const size = { [PRECISION.YEAR]: 1, [PRECISION.DECADE]: 10, [PRECISION.CENTURY]: 100, [PRECISION.MILLENNIUM]: 1000 }[precision];
+  const abs = Math.abs(year);
+  let first;
+  let last;
+
+  if (size === 1) {
+    first = last = abs;
+  } else if (size === 10) {
+    // Décennie : 1890 → 1890-1899
+    first = Math.floor(abs / 10) * 10;
+    last = first + 9;
+  } else {
+    // Siècle / millénaire : 1900 → XIXe siècle (1801-1900)
+    const rank = Math.ceil(abs / size);
+    first = (rank - 1) * size + 1;
+    last = rank * size;
+  }
+
+  return year > 0
+    ? [utcDate(first, 1, 1), utcDate(last + 1, 1, 1)]
+    : [utcDate(-last, 1, 1), utcDate(-first + 1 || 1, 1, 1)];
+}
+
+// Année historique → date UTC (année astronomique : 1 av. J.-C. = an 0)
+function utcDate(year, month, day) {
+  const date = new Date(Date.UTC(2000, month - 1, day));
+  date.setUTCFullYear(year > 0 ? year : year + 1);
+  return date;
+}
+
+/**
+ * Libellé d'une date à sa précision ("14 mai 1897", "années 1890", "Ve siècle av. J.-C.")
+ */
+export function formatTime(year, month, day, precision) {
+  const era = year < 0 ? ' av. J.-C.' : '';
+  const abs = Math.abs(year);
+
+  if (precision >= PRECISION.MONTH && year > 0) {
+    const options = precision >= PRECISION.DAY
+      ? { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' }
+      : { month: 'long', year: 'numeric', timeZone: 'UTC' };
+    return new Intl.DateTimeFormat(getLanguage(), options).format(utcDate(year, month, day));
+  }
+  if (precision === PRECISION.DECADE) return `années ${Math.floor(abs / 10) * 10}${era}`;
+  if (precision === PRECISION.CENTURY) return `${toRoman(Math.ceil(abs / 100))}e siècle${era}`;
+  if (precision === PRECISION.MILLENNIUM) return `${Math.ceil(abs / 1000)}e millénaire${era}`;
+  return `${abs}${era}`;
+}
+
+/**
+ * Année affichée sur l'axe (les années astronomiques ≤ 0 sont avant J.-C.)
+ */
+export function formatAxisYear(date) {
+  const year = date.getUTCFullYear();
+  return year > 0 ? String(year) : `${1 - year} av. J.-C.`;
+}
+
+function toRoman(value) {
+  const numerals = [[1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+    [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+  let result = '';
+  for (const [n, numeral] of numerals) {
+    while (value >= n) {
+      result += numeral;
+      value -= n;
+    }
+  }
+  return result;
+}
+
+/**
+ * Date la plus sûre d'une propriété : rang préféré, sinon la première normale
+ */
+function getTime(claims, property) {
+  const values = (claims[property] || []).filter(claim => claim.rank !== 'deprecated');
+  const claim = values.find(c => c.rank === 'preferred') || values[0];
+  return parseWikidataTime(claim?.mainsnak?.datavalue?.value);
+}
+
+/**
+ * Période ou date principale d'une entité d'après ses claims
+ * @returns {{start: TimePoint, end: TimePoint|null, kind: string}|null}
+ */
+export function getEntityDates(claims = {}) {
+  for (const [startProperty, endProperty, kind] of SPAN_PROPERTIES) {
+    const start = getTime(claims, startProperty);
+    const end = getTime(claims, endProperty);
+    if (start && end) return { start, end, kind };
+  }
+
+  for (const [property, kind] of Object.entries(POINT_PROPERTIES)) {
+    const start = getTime(claims, property);
+    if (start) return { start, end: null, kind };
+  }
+
+  return null;
+}
+
+/**
+ * Éléments de la chronologie : entité centrale, nœuds du graphe datés,
+ * puis relations datées par leurs qualificatifs (membre de 1950 à 1960...)
+ * @param {Graph} graph - Graphe affiché
+ * @param {Entity|null} entity - Entité centrale (ses claims sont déjà chargés)
+ * @param {AbortSignal} signal
+ * @returns {Promise<Array<TimelineItem>>} Triés par date de début
+ */
+export async function buildTimeline(graph, entity = null, signal) {
+  const nodes = graph.nodes.filter(node => node.id.startsWith('Q'));
+  const entities = await fetchWikidataEntities(
+    nodes.map(node => node.id).filter(id => id !== entity?.id),
+    'claims',
+    signal
+  );
+  const claimsById = Object.fromEntries(Object.entries(entities).map(([id, data]) => [id, data.claims || {}]));
+  if (entity) claimsById[entity.id] = entity.sources.wikidata?.claims || {};
+
+  const items = [];
+
+  for (const node of nodes) {
+    const dates = getEntityDates(claimsById[node.id]);
+    if (!dates) continue;
+
+    items.push({
+      id: node.id,
+      label: node.label,
+      detail: dates.kind,
+      entityType: node.entityType || node.type,
+      isCenter: Boolean(node.isCenter),
+      ...dates
+    });
+  }
+
+  const labels = new Map(graph.nodes.map(node => [node.id, node.label]));
+
+  for (const edge of graph.edges) {
+    const qualifiers = edge.qualifiers || {};
+    const start = parseWikidataTime(qualifiers.start || qualifiers.pointInTime);
+    if (!start) continue;
+
+    const source = edge.source.id || edge.source;
+    const target = edge.target.id || edge.target;
+
+    items.push({
+      id: target,
+      label: `${labels.get(source) || source} → ${labels.get(target) || target}`,
+      detail: edge.label || edge.type,
+      entityType: null,
+      isCenter: false,
+      kind: 'relation',
+      start,
+      end: parseWikidataTime(qualifiers.end)
+    });
+  }
+
+  return items.sort((a, b) => a.start.from - b.start.from);
+}
+
+/**
+ * Type TimePoint
+ * @typedef {Object} TimePoint
+ * @property {number} year - Année historique (négative avant J.-C.)
+ * @property {number} month
+ * @property {number} day
+ * @property {number} precision - Précision Wikidata (6 millénaire → 11 jour)
+ * @property {Date} from - Début de l'intervalle couvert
+ * @property {Date} to - Fin (exclue) de l'intervalle couvert
+ * @property {string} label - Date lisible à sa précision
+ */
+
+/**
+ * Type TimelineItem
+ * @typedef {Object} TimelineItem
+ * @property {string} id - Nœud à ouvrir au clic
+ * @property {string} label
+ * @property {string} detail - vie, publication, relation...
+ * @property {string|null} entityType
+ * @property {boolean} isCenter
+ * @property {string} kind
+ * @property {TimePoint} start
+ * @property {TimePoint|null} end
+ */
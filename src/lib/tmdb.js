@@ -0,0 +1,272 @@
+/**
+ * TMDB
+ *
+ * Enrichissement The Movie Database : fiche d'un film (P4947), d'une série
+ * (P4983) ou d'une personne (P4985) selon l'identifiant Wikidata présent,
+ * avec sa distribution et son équipe. Les crédits sont rattachés à leurs
+ * éléments Wikidata (requête SPARQL sur les IDs TMDB) pour devenir
+ * des relations du graphe.
+ * Clé d'API : réglages de l'app (stockée localement), sinon VITE_TMDB_API_KEY.
+ */
+
+import { fetchJSON } from './httpClient.js';
+import { runSparqlQuery, bindingItemId } from './incomingRelations.js';
+
+const TMDB_API = 'https://api.themoviedb.org/3';
+const TMDB_IMAGES = 'https://image.tmdb.org/t/p';
+const KEY_STORAGE_KEY = 'wikiwiki.tmdbKey';
+
+// Nombre de crédits gardés (distribution par ordre d'affiche, équipe par métier)
+const MAX_CAST = 15;
+const MAX_CREW = 10;
+
+/**
+ * Fiches TMDB : identifiant (clé d'entity.identifiers) → chemin d'API et propriété Wikidata
+ * L'ordre départage une entité qui en a plusieurs, selon son type inféré.
+ */
+export const TMDB_KINDS = {
+  movie: { identifier: 'tmdb_movie', property: 'P4947', credits: 'credits', types: ['film'] },
+  tv: { identifier: 'tmdb_tv', property: 'P4983', credits: 'credits', types: ['series'] },
+  person: { identifier: 'tmdb_person', property: 'P4985', credits: 'combined_credits', types: ['person', 'group'] }
+};
+
+// Métier TMDB → propriété Wikidata de la relation (œuvre → personne)
+const CREW_PROPERTIES = {
+  'Director': 'P57',
+  'Screenplay': 'P58',
+  'Writer': 'P58',
+  'Original Music Composer': 'P86',
+  'Producer': 'P162'
+};
+
+const CAST_PROPERTY = 'P161';
+
+/**
+ * Clé d'API TMDB (réglages locaux d'abord, puis variable d'environnement Vite)
+ * @returns {string|null}
+ */
+export function getTmdbApiKey() {
+  return localStorage.getItem(KEY_STORAGE_KEY) || import.meta.env?.VITE_TMDB_API_KEY || null;
+}
+
+/**
+ * Origine de la clé utilisée : 'local', 'env' ou null
+ */
+export function getTmdbKeySource() {
+  if (localStorage.getItem(KEY_STORAGE_KEY)) return 'local';
+  return import.meta.env?.VITE_TMDB_API_KEY ? 'env' : null;
+}
+
+/**
+ * Enregistre la clé dans le stockage local (vide : retour à la variable d'environnement)
+ */
+export function setTmdbApiKey(key) {
+  const value = key?.trim();
+  if (value) {
+    localStorage.setItem(KEY_STORAGE_KEY, value);
+  } else {
+    localStorage.removeItem(KEY_STORAGE_KEY);
+  }
+}
+
+/**
+ * Fiche TMDB à interroger : celle qui correspond au type de l'entité,
+ * sinon la première présente
+ * @returns {{kind: string, id: string}|null}
+ */
+export function getTmdbTarget(entity) {
+  const present = Object.entries(TMDB_KINDS).filter(([, { identifier }]) => entity.identifiers[identifier]);
+  if (present.length === 0) return null;
+
+  const [kind, { identifier }] = present.find(([, { types }]) => types.includes(entity.type)) || present[0];
+  return { kind, id: entity.identifiers[identifier] };
+}
+
+/**
+ * ENRICHISSEMENT TMDB (films, séries, personnes)
+ * @returns {Promise<TmdbPayload>}
+ */
+export async function enrichFromTMDB(entity, { lang, signal }) {
+  const { kind, id } = getTmdbTarget(entity);
+  const { credits: creditsKey } = TMDB_KINDS[kind];
+
+  const data = await fetchTmdb(`/${kind}/${id}`, { language: lang, append_to_response: creditsKey }, signal);
+  const credits = kind === 'person'
+    ? personCredits(data[creditsKey])
+    : workCredits(data[creditsKey], kind);
+
+  await mapCreditsToWikidata(credits, signal);
+  console.log(`🎬 TMDB ${kind}/${id} : ${credits.filter(credit => credit.qid).length}/${credits.length} crédits reliés à Wikidata`);
+
+  return {
+    kind,
+    tmdbId: id,
+    title: data.title || data.name,
+    overview: data.overview || data.biography || null,
+    date: data.release_date || data.first_air_date || data.birthday || null,
+    poster: imageUrl(data.poster_path || data.profile_path, 'w342'),
+    backdrop: imageUrl(data.backdrop_path, 'w780'),
+    rating: data.vote_average ?? null,
+    genres: data.genres || [],
+    url: `https://www.themoviedb.org/${kind}/${id}`,
+    credits
+  };
+}
+
+/**
+ * Appel d'API : clé v3 en paramètre, jeton v4 (JWT) en en-tête
+ */
+function fetchTmdb(path, params, signal) {
+  const key = getTmdbApiKey();
+  const query = new URLSearchParams(params);
+  const headers = {};
+
+  if (key.startsWith('eyJ')) {
+    headers['Authorization'] = `Bearer ${key}`;
+  } else {
+    query.set('api_key', key);
+  }
+
+  return fetchJSON(`${TMDB_API}${path}?${query}`, { headers, signal });
+}
+
+function imageUrl(path, size) {
+  return path ? `${TMDB_IMAGES}/${size}${path}` : null;
+}
+
+/**
+ * Crédits d'un film ou d'une série : l'œuvre pointe vers les personnes
+ */
+function workCredits(credits = {}, kind) {
+  const cast = (credits.cast || [])
+    .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity))
+    .filter(firstCredit(() => CAST_PROPERTY))
+    .slice(0, MAX_CAST)
+    .map(member => ({
+      tmdbId: String(member.id),
+      kind: 'person',
+      name: member.name,
+      role: member.character || null,
+      property: CAST_PROPERTY,
+      direction: 'outgoing'
+    }));
+
+  const crew = (credits.crew || [])
+    .filter(member => CREW_PROPERTIES[member.job])
+    .filter(firstCredit(member => CREW_PROPERTIES[member.job]))
+    .slice(0, MAX_CREW)
+    .map(member => ({
+      tmdbId: String(member.id),
+      kind: 'person',
+      name: member.name,
+      role: member.job,
+      property: CREW_PROPERTIES[member.job],
+      direction: 'outgoing'
+    }));
+
+  console.log(`🎬 ${kind} : ${cast.length} rôles, ${crew.length} membres d'équipe`);
+  return [...cast, ...crew];
+}
+
+/**
+ * Filmographie d'une personne : chaque œuvre pointe vers elle
+ * (relation entrante), les plus populaires d'abord
+ */
+function personCredits(credits = {}) {
+  const byPopularity = (a, b) => (b.popularity || 0) - (a.popularity || 0);
+  const asCredit = (work, role, property) => ({
+    tmdbId: String(work.id),
+    kind: work.media_type === 'tv' ? 'tv' : 'movie',
+    name: work.title || work.name,
+    role,
+    property,
+    direction: 'incoming'
+  });
+
+  const cast = (credits.cast || [])
+    .sort(byPopularity)
+    .filter(firstCredit(() => CAST_PROPERTY))
+    .slice(0, MAX_CAST)
+    .map(work => asCredit(work, work.character || null, CAST_PROPERTY));
+
+  const crew = (credits.crew || [])
+    .filter(work => CREW_PROPERTIES[work.job])
+    .sort(byPopularity)
+    .filter(firstCredit(work => CREW_PROPERTIES[work.job]))
+    .slice(0, MAX_CREW)
+    .map(work => asCredit(work, work.job, CREW_PROPERTIES[work.job]));
+
+  return [...cast, ...crew];
+}
+
+/**
+ * Filtre qui garde le premier crédit de chaque couple (fiche, propriété) :
+ * une personne à la fois Writer et Screenplay, ou un film avec deux rôles,
+ * ne compte qu'une fois avant la limite MAX_CAST / MAX_CREW
+ */
+function firstCredit(propertyOf) {
+  const seen = new Set();
+  return entry => {
+    const key = `${entry.media_type || ''}${entry.id}|${propertyOf(entry)}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  };
+}
+
+/**
+ * Ajoute à chaque crédit le QID de l'élément qui porte son ID TMDB
+ * (une requête SPARQL par sorte de fiche) ; qid reste null sinon
+ */
+async function mapCreditsToWikidata(credits, signal) {
+  const kinds = [...new Set(credits.map(credit => credit.kind))];
+
+  await Promise.all(kinds.map(async kind => {
+    const ids = [...new Set(credits.filter(credit => credit.kind === kind).map(credit => credit.tmdbId))];
+    const query = `SELECT ?item ?id WHERE {
+  VALUES ?id { ${ids.map(id => JSON.stringify(id)).join(' ')} }
+  ?item wdt:${TMDB_KINDS[kind].property} ?id .
+}`;
+
+    let items = new Map();
+    try {
+      const bindings = await runSparqlQuery(query, signal);
+      items = new Map(bindings.map(binding => [binding.id?.value, bindingItemId(binding.item)]));
+    } catch (error) {
+      signal?.throwIfAborted();
+      console.warn('Éléments Wikidata des crédits TMDB indisponibles:', error.message);
+    }
+
+    for (const credit of credits) {
+      if (credit.kind === kind) credit.qid = items.get(credit.tmdbId) || null;
+    }
+  }));
+}
+
+/**
+ * Type TmdbPayload
+ * @typedef {Object} TmdbPayload
+ * @property {string} kind - movie | tv | person
+ * @property {string} tmdbId
+ * @property {string} title - Titre de l'œuvre ou nom de la personne
+ * @property {string|null} overview - Synopsis ou biographie
+ * @property {string|null} date - Sortie, première diffusion ou naissance
+ * @property {string|null} poster - Affiche (ou portrait d'une personne)
+ * @property {string|null} backdrop - Image de fond
+ * @property {number|null} rating
+ * @property {Array<{id: number, name: string}>} genres
+ * @property {string} url - Page TMDB
+ * @property {Array<TmdbCredit>} credits
+ */
+
+/**
+ * Type TmdbCredit
+ * @typedef {Object} TmdbCredit
+ * @property {string} tmdbId
+ * @property {string} kind - Fiche de l'autre extrémité (person, movie, tv)
+ * @property {string} name
+ * @property {string|null} role - Personnage ou métier
+ * @property {string} property - Propriété Wikidata équivalente (P161, P57...)
+ * @property {string} direction - outgoing (l'entité porte la relation) | incoming
+ * @property {string|null} qid - Élément Wikidata de l'autre extrémité
+ */
@@ -0,0 +1,292 @@
+/**
+ * TYPE INFERENCE
+ *
+ * Déduit le type d'une entité depuis TOUTES ses valeurs P31 (nature de l'élément)
+ * en remontant la hiérarchie P279 (sous-classe de) jusqu'à des classes racines.
+ * La classe racine la plus proche l'emporte ; la confiance dépend de la distance
+ * et de l'accord entre les différentes valeurs P31.
+ */
+
+import { fetchJSON, withSignal } from './httpClient.js';
+import { getCachedClasses, cacheClasses } from './db.js';
+
+const WIKIDATA_API = 'https://www.wikidata.org/w/api.php';
+
+// Profondeur max de remontée P279 (au-delà, les classes deviennent trop abstraites)
+const MAX_DEPTH = 6;
+// Limite de classes explorées par niveau (certaines classes ont beaucoup de parents)
+const MAX_FRONTIER = 50;
+
+/**
+ * Classes racines → type
+ */
+const ROOT_CLASSES = {
+  // Personnes
+  'Q5': 'person',              // être humain
+  'Q215627': 'person',         // personne
+  'Q15632617': 'person',       // humain de fiction
+  'Q95074': 'person',          // personnage de fiction
+
+  // Groupes
+  'Q215380': 'group',          // groupe de musique
+  'Q2088357': 'group',         // ensemble musical
+  'Q16334295': 'group',        // groupe d'humains
+
+  // Œuvres musicales
+  'Q105543609': 'musical_work', // œuvre musicale
+  'Q2188189': 'musical_work',  // œuvre musicale (ancien élément)
+  'Q207628': 'musical_work',   // composition musicale
+  'Q482994': 'musical_work',   // album
+  'Q7366': 'musical_work',     // chanson
+  'Q134556': 'musical_work',   // single
+
+  // Films et séries
+  'Q11424': 'film',            // film
+  'Q506240': 'film',           // téléfilm
+  'Q5398426': 'series',        // série télévisée
+  'Q1259759': 'series',        // mini-série
+  'Q7725310': 'series',        // série d'œuvres
+
+  // Livres
+  'Q571': 'book',              // livre
+  'Q7725634': 'book',          // œuvre littéraire
+  'Q47461344': 'book',         // œuvre écrite
+  'Q8261': 'book',             // roman
+
+  // Œuvres d'art
+  'Q838948': 'artwork',        // œuvre d'art
+  'Q4502142': 'artwork',       // œuvre d'art visuel
+  'Q3305213': 'artwork',       // peinture
+  'Q860861': 'artwork',        // sculpture
+
+  // Lieux
+  'Q17334923': 'place',        // lieu
+  'Q2221906': 'place',         // emplacement géographique
+  'Q618123': 'place',          // élément géographique
+  'Q82794': 'place',           // région géographique
+  'Q486972': 'place',          // établissement humain
+  'Q515': 'place',             // ville
+  'Q6256': 'place',            // pays
+  'Q56061': 'place',           // entité territoriale administrative
+  'Q4022': 'place',            // rivière
+  'Q8502': 'place',            // montagne
+  'Q41176': 'place',           // bâtiment
+  'Q811979': 'place',          // structure architecturale
+
+  // Organisations
+  'Q43229': 'organisation',    // organisation
+  'Q4830453': 'organisation',  // entreprise
+  'Q783794': 'organisation',   // société
+  'Q7278': 'organisation',     // parti politique
+  'Q3918': 'organisation',     // université
+  'Q163740': 'organisation',   // organisation à but non lucratif
+
+  // Événements
+  'Q1656682': 'event',         // événement
+  'Q1190554': 'event',         // occurrence
+  'Q198': 'event',             // guerre
+  'Q178561': 'event',          // bataille
+  'Q132241': 'event',          // festival
+
+  // Taxons
+  'Q16521': 'taxon',           // taxon
+
+  // Concepts
+  'Q151885': 'concept',        // concept
+  'Q188451': 'concept',        // genre musical
+  'Q483394': 'concept',        // genre
+  'Q1792379': 'concept',       // genre artistique
+  'Q11862829': 'concept',      // discipline académique
+  'Q17737': 'concept',         // théorie
+  'Q11173': 'concept',         // composé chimique
+  'Q79529': 'concept',         // substance chimique
+  'Q12136': 'concept',         // maladie
+  'Q28640': 'concept',         // profession
+  'Q35127': 'concept'          // site web
+};
+
+/**
+ * Départage de deux racines à la même distance : la plus spécifique d'abord
+ */
+export const TYPE_PRIORITY = [
+  'person', 'group', 'musical_work', 'film', 'series', 'book', 'artwork',
+  'taxon', 'event', 'place', 'organisation', 'concept'
+];
+
+const UNKNOWN = { type: 'entity', confidence: 0, matchedClass: null, distance: null };
+
+// QID de classe → Promise<{ type, matchedClass, distance } | null>
+const rootCache = new Map();
+// QID de classe → Array<QID> (parents P279), partagé entre toutes les inférences
+const superclassCache = new Map();
+
+/**
+ * Infère le type d'une entité Wikidata
+ * @param {Object} wikidataEntity - Entité brute (avec claims)
+ * @param {AbortSignal} signal
+ * @returns {Promise<TypeInference>}
+ */
+export async function inferEntityType(wikidataEntity, signal) {
+  const claims = wikidataEntity.claims || {};
+  const instanceOf = getClaimIds(claims.P31);
+
+  if (instanceOf.length === 0) {
+    // Pas de P31 mais un P279 : l'entité est elle-même une classe
+    return getClaimIds(claims.P279).length > 0
+      ? { type: 'concept', confidence: 0.5, matchedClass: null, distance: null }
+      : UNKNOWN;
+  }
+
+  let matches;
+  try {
+    matches = await Promise.all(instanceOf.map(qid => findRootClass(qid, signal)));
+  } catch (error) {
+    signal?.throwIfAborted();
+    // Hiérarchie inaccessible : on se contente des correspondances directes
+    console.warn('Hiérarchie P279 indisponible:', error.message);
+    matches = instanceOf.map(qid => ROOT_CLASSES[qid]
+      ? { type: ROOT_CLASSES[qid], matchedClass: qid, distance: 0 }
+      : null);
+  }
+
+  // Chaque valeur P31 vote pour un type ; la plus proche d'une racine départage
+  const votes = new Map();
+  for (const match of matches.filter(Boolean)) {
+    const vote = votes.get(match.type);
+    if (!vote) {
+      votes.set(match.type, { ...match, count: 1 });
+    } else {
+      vote.count++;
+      if (match.distance < vote.distance) Object.assign(vote, match, { count: vote.count });
+    }
+  }
+
+  if (votes.size === 0) return UNKNOWN;
+
+  const best = Array.from(votes.values()).sort((a, b) =>
+    b.count - a.count
+    || a.distance - b.distance
+    || TYPE_PRIORITY.indexOf(a.type) - TYPE_PRIORITY.indexOf(b.type)
+  )[0];
+
+  const agreement = best.count / instanceOf.length;
+  const proximity = 1 / (1 + 0.25 * best.distance);
+
+  return {
+    type: best.type,
+    confidence: Math.round(agreement * proximity * 100) / 100,
+    matchedClass: best.matchedClass,
+    distance: best.distance
+  };
+}
+
+/**
+ * Remonte P279 en largeur depuis une classe jusqu'à la racine la plus proche
+ * La recherche partagée tourne sans signal : l'annulation d'un appelant
+ * n'interrompt que son attente, pas celle des inférences concurrentes
+ */
+function findRootClass(qid, signal) {
+  if (!rootCache.has(qid)) {
+    const search = searchRootClass(qid).catch(error => {
+      rootCache.delete(qid);
+      throw error;
+    });
+    rootCache.set(qid, search);
+  }
+  return withSignal(rootCache.get(qid), signal);
+}
+
+async function searchRootClass(qid) {
+  const seen = new Set([qid]);
+  let frontier = [qid];
+
+  for (let distance = 0; distance <= MAX_DEPTH && frontier.length > 0; distance++) {
+    const hits = frontier
+      .filter(id => ROOT_CLASSES[id])
+      .sort((a, b) => TYPE_PRIORITY.indexOf(ROOT_CLASSES[a]) - TYPE_PRIORITY.indexOf(ROOT_CLASSES[b]));
+
+    if (hits.length > 0) {
+      return { type: ROOT_CLASSES[hits[0]], matchedClass: hits[0], distance };
+    }
+
+    const parents = await getSuperclasses(frontier);
+    frontier = [];
+
+    for (const id of parents) {
+      if (seen.has(id)) continue;
+      seen.add(id);
+      frontier.push(id);
+    }
+    frontier = frontier.slice(0, MAX_FRONTIER);
+  }
+
+  return null;
+}
+
+/**
+ * Parents P279 d'une liste de classes (mémoire → IndexedDB → Wikidata)
+ * @returns {Promise<Array<string>>} Union des parents
+ */
+async function getSuperclasses(ids) {
+  let missing = ids.filter(id => !superclassCache.has(id));
+
+  if (missing.length > 0) {
+    const stored = await getCachedClasses(missing);
+    for (const [id, parents] of Object.entries(stored)) {
+      superclassCache.set(id, parents);
+    }
+    missing = missing.filter(id => !superclassCache.has(id));
+  }
+
+  if (missing.length > 0) {
+    const fetched = await fetchSuperclasses(missing);
+    for (const [id, parents] of Object.entries(fetched)) {
+      superclassCache.set(id, parents);
+    }
+    await cacheClasses(fetched);
+  }
+
+  return ids.flatMap(id => superclassCache.get(id) || []);
+}
+
+async function fetchSuperclasses(ids) {
+  const result = {};
+
+  // wbgetentities accepte 50 IDs maximum par requête
+  for (let i = 0; i < ids.length; i += 50) {
+    const params = new URLSearchParams({
+      action: 'wbgetentities',
+      ids: ids.slice(i, i + 50).join('|'),
+      props: 'claims',
+      format: 'json',
+      origin: '*'
+    });
+
+    const data = await fetchJSON(`${WIKIDATA_API}?${params}`);
+
+    for (const id of ids.slice(i, i + 50)) {
+      result[id] = getClaimIds(data.entities?.[id]?.claims?.P279);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * QIDs cibles d'une liste de claims (les valeurs dépréciées sont ignorées)
+ */
+function getClaimIds(claims = []) {
+  return claims
+    .filter(claim => claim.rank !== 'deprecated')
+    .map(claim => claim.mainsnak?.datavalue?.value?.id)
+    .filter(Boolean);
+}
+
+/**
+ * Type TypeInference
+ * @typedef {Object} TypeInference
+ * @property {string} type - person|group|musical_work|film|series|book|artwork|place|organisation|event|taxon|concept|entity
+ * @property {number} confidence - Entre 0 et 1
+ * @property {string|null} matchedClass - Classe racine atteinte (QID)
+ * @property {number|null} distance - Nombre de sauts P279 depuis la valeur P31
+ */
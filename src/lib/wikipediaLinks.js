@@ -0,0 +1,91 @@
+/**
+ * WIKIPEDIA LINKS
+ *
+ * Extrait les liens internes d'un article depuis son HTML (action=parse)
+ * en suivant sa structure : chaque lien est rattaché à la section où il
+ * apparaît (introduction, infobox, corps, navbox, voir aussi) et compté.
+ * Le score des liens est ensuite calculé par le graph builder.
+ */
+
+/**
+ * Sections reconnues, de la plus pertinente à la moins pertinente
+ * (un lien présent dans plusieurs sections garde la meilleure)
+ */
+export const LINK_SECTIONS = ['lead', 'infobox', 'body', 'see_also', 'navbox'];
+
+// Titres de sections d'annexe : tout ce qui suit est traité comme "voir aussi"
+const APPENDIX_HEADINGS = {
+  fr: ['voir aussi', 'articles connexes', 'notes et références', 'références', 'bibliographie', 'liens externes', 'annexes'],
+  en: ['see also', 'notes', 'references', 'bibliography', 'further reading', 'external links'],
+  es: ['véase también', 'referencias', 'bibliografía', 'enlaces externos'],
+  de: ['siehe auch', 'literatur', 'weblinks', 'einzelnachweise', 'anmerkungen'],
+  it: ['voci correlate', 'note', 'bibliografia', 'collegamenti esterni', 'altri progetti'],
+  pt: ['ver também', 'referências', 'bibliografia', 'ligações externas'],
+  nl: ['zie ook', 'bronnen', 'referenties', 'externe links'],
+  pl: ['zobacz też', 'przypisy', 'bibliografia', 'linki zewnętrzne'],
+  ja: ['関連項目', '脚注', '参考文献', '外部リンク']
+};
+
+const INFOBOX_SELECTOR = '.infobox, .infobox_v2, .infobox_v3, .infobox-bordered';
+const NAVBOX_SELECTOR = '.navbox, .navbox-container, .vertical-navbox, .bandeau-portail, .portail, [role="navigation"]';
+
+// Liens sans intérêt pour le graphe : notes, bandeaux de maintenance, homonymie
+const IGNORED_SELECTOR = '.reference, .references, .reflist, .mw-editsection, .hatnote, .homonymie, .bandeau-article, .ambox, .metadata';
+
+/**
+ * Liens internes d'un article, dans l'ordre de leur première apparition
+ * @param {string} html - HTML de l'article (parse.text)
+ * @param {string} lang - Langue du wiki (titres des sections d'annexe)
+ * @returns {Array<ArticleLink>}
+ */
+export function extractArticleLinks(html, lang) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const appendixHeadings = [...(APPENDIX_HEADINGS[lang] || []), ...APPENDIX_HEADINGS.en];
+
+  const links = new Map();
+  let section = 'lead';
+
+  // querySelectorAll renvoie les éléments dans l'ordre du document :
+  // chaque h2 change la section des liens qui le suivent
+  for (const element of doc.querySelectorAll('h2, a[href^="/wiki/"]')) {
+    if (element.tagName === 'H2') {
+      const heading = element.textContent.trim().toLowerCase();
+      section = appendixHeadings.includes(heading) ? 'see_also' : 'body';
+      continue;
+    }
+
+    if (element.closest(IGNORED_SELECTOR)) continue;
+    if (element.matches('.new, .mw-selflink, .image, .mw-file-description')) continue;
+
+    const title = element.getAttribute('title');
+    if (!title) continue;
+
+    const linkSection = element.closest(NAVBOX_SELECTOR) ? 'navbox'
+      : element.closest(INFOBOX_SELECTOR) ? 'infobox'
+      : section;
+    const inList = section === 'body' && Boolean(element.closest('li'));
+
+    let link = links.get(title);
+    if (!link) {
+      link = { title, section: linkSection, sections: {}, count: 0, listOnly: true };
+      links.set(title, link);
+    }
+
+    link.count++;
+    link.sections[linkSection] = (link.sections[linkSection] || 0) + 1;
+    if (LINK_SECTIONS.indexOf(linkSection) < LINK_SECTIONS.indexOf(link.section)) link.section = linkSection;
+    if (!inList) link.listOnly = false;
+  }
+
+  return Array.from(links.values());
+}
+
+/**
+ * Type ArticleLink
+ * @typedef {Object} ArticleLink
+ * @property {string} title - Titre de l'article cible
+ * @property {string} section - Meilleure section où il apparaît (lead|infobox|body|see_also|navbox)
+ * @property {Object} sections - Nombre d'occurrences par section
+ * @property {number} count - Nombre total d'occurrences
+ * @property {boolean} listOnly - N'apparaît dans le corps que dans des listes (discographies, palmarès...)
+ */